@@ -1,58 +1,339 @@
 import matter from 'https://esm.sh/gray-matter';
+import DOMPurify from 'https://esm.sh/dompurify';
+
+// Base URL of the kenshin API that serves exams, mock tests and notes; can be changed in Settings
+const DEFAULT_API_BASE_URL = 'https://kenshin.pythonanywhere.com/api/v1';
 
 // Variables for the live clock/countdown feature
-let isClockMode = true;
-let upcomingExamDate = null;
-let upcomingExamName = '';
+let timeDisplayMode = 'clock'; // 'clock', 'countdown' or 'focus'
+let countdownExams = []; // The exams the countdown cycles through
+let countdownExamIndex = 0;
 let timerInterval = null;
 
+// The exam CSP prelims has in the API, the default target before one is chosen
+const DEFAULT_TARGET_EXAM_ID = 'pWySIJBI4yDC6v2YzLlD';
+
+// Length of an exam's preparation window when no start date has been set
+const DEFAULT_PREP_DAYS = 365;
+
 // This is our main function that runs when the page is ready
 document.addEventListener('DOMContentLoaded', async () => {
+    // Shortcuts work straight away; commands are added as the data they need arrives
+    setupCommandPalette();
+
+    // Everything below reads through the data source chosen in Settings
+    dataSource = await loadDataSource();
+
     // These functions work on any page with the header
     displayWelcomeMessage();
+    setupAccounts();
+    setupSyncStatus();
     
     // Fetch exam data once and use it where needed
     const futureExams = await fetchAndProcessExams();
-    if (futureExams && futureExams.length > 0) {
-        // Find the most upcoming exam and store its details for the clock
-        const upcomingExam = futureExams[0];
-        upcomingExamDate = new Date(upcomingExam.date);
-        upcomingExamName = upcomingExam.name;
-        // Now that we have the data, setup the clock
-        setupLiveTimeDisplay();
-    }
+    // Store the exams the clock counts down to, then setup the clock
+    countdownExams = getCountdownExams(futureExams);
+    setupFocusTimer();
+    setupLiveTimeDisplay();
+    setupSettingsPanel();
+    addExamCommands(futureExams);
+    setupNotifications(futureExams);
 
     // These functions will only run if their HTML elements exist on the current page
     displayExamTimers(futureExams); 
-    displayPerformanceData();
+    displayPerformanceData(futureExams);
+    displayStudyPlanner(futureExams);
+    displaySectionLinks();
+    displayRevisionQueue();
+    displayStudyTime();
     initializeFileExplorer(futureExams); // This will only run on the editorials page
 });
 
+// The exams as last fetched from the API, before our own exams are merged in
+let apiExams = [];
+
 /**
  * Fetches and processes exam data, returning a sorted array of future exams.
+ * Exams added in settings are merged with the API list.
  */
 async function fetchAndProcessExams() {
-    const apiUrl = 'https://kenshin.pythonanywhere.com/api/v1/exams';
     try {
-        const response = await fetch(apiUrl);
-        if (!response.ok) throw new Error(`HTTP error! Status: ${response.status}`);
-        const exams = await response.json();
-        
-        const today = new Date();
-        today.setHours(0, 0, 0, 0);
-
-        const futureExams = exams.map(exam => {
-            const examDate = new Date(exam.date);
-            const timeDiff = examDate.getTime() - today.getTime();
-            const daysRemaining = Math.floor(timeDiff / (1000 * 60 * 60 * 24));
-            return { ...exam, daysRemaining };
-        }).filter(exam => exam.daysRemaining >= 0);
-        
-        return futureExams;
+        apiExams = await dataSource.getExams();
     } catch (error) {
+        // Our own exams can still be shown without the API
         console.error('Failed to fetch and process exam data:', error);
-        return null; // Return null on error
     }
+    return processExams();
+}
+
+/**
+ * Merges the API exams with custom exams, working out days remaining and keeping
+ * only future exams, nearest first.
+ * @returns {Array} - The future exams.
+ */
+function processExams() {
+    const today = new Date();
+    today.setHours(0, 0, 0, 0);
+
+    const exams = [...apiExams, ...loadPreference('customExams', [])];
+    return exams.map(exam => {
+        const examDate = new Date(exam.date);
+        const timeDiff = examDate.getTime() - today.getTime();
+        const daysRemaining = Math.floor(timeDiff / (1000 * 60 * 60 * 24));
+        return { ...exam, daysRemaining };
+    })
+        .filter(exam => exam.daysRemaining >= 0)
+        .sort((a, b) => new Date(a.date) - new Date(b.date));
+}
+
+/**
+ * Finds the exam chosen as the target in settings, falling back to CSP and then the nearest exam.
+ * @param {Array} futureExams - The processed future exams.
+ * @returns {object|null}
+ */
+function getTargetExam(futureExams) {
+    if (!futureExams || futureExams.length === 0) return null;
+    const targetId = loadPreference('targetExamId', DEFAULT_TARGET_EXAM_ID);
+    return futureExams.find(e => e.id === targetId)
+        || futureExams.find(e => e.id === DEFAULT_TARGET_EXAM_ID)
+        || futureExams[0];
+}
+
+/**
+ * Lists the exams the header countdown cycles through: the pinned ones, or just the target.
+ * @param {Array} futureExams - The processed future exams.
+ * @returns {Array}
+ */
+function getCountdownExams(futureExams) {
+    if (!futureExams) return [];
+    const pinnedIds = loadPreference('pinnedExamIds', []);
+    const pinned = futureExams.filter(e => pinnedIds.includes(e.id));
+    if (pinned.length > 0) return pinned;
+    const target = getTargetExam(futureExams);
+    return target ? [target] : [];
+}
+
+/**
+ * Works out how far through an exam's preparation window we are.
+ * @param {object} exam - A processed exam.
+ * @returns {{start: Date, progress: number}} - progress runs from 0 (window start) to 1 (exam day).
+ */
+function getPreparationProgress(exam) {
+    const examDate = new Date(exam.date);
+    const prepStarts = loadPreference('examPrepStarts', {});
+    let start = prepStarts[exam.id] ? new Date(prepStarts[exam.id]) : null;
+    if (!start || Number.isNaN(start.getTime()) || start >= examDate) {
+        start = new Date(examDate);
+        start.setDate(start.getDate() - DEFAULT_PREP_DAYS);
+    }
+    const progress = (Date.now() - start.getTime()) / (examDate.getTime() - start.getTime());
+    return { start, progress: Math.min(1, Math.max(0, progress)) };
+}
+
+/**
+ * Sets up the settings button in the header and the settings modal it opens.
+ */
+function setupSettingsPanel() {
+    const settingsButton = document.getElementById('settings-button');
+    const settingsModal = document.getElementById('settings-modal');
+    if (!settingsButton || !settingsModal) return;
+
+    settingsButton.addEventListener('click', () => {
+        renderExamSettings();
+        renderPlannerSettings();
+        renderFocusSettings();
+        renderDataSourceSettings();
+        renderNotificationSettings();
+        settingsModal.classList.add('visible');
+    });
+
+    settingsModal.addEventListener('click', (event) => {
+        // Close if the backdrop or the close button is clicked
+        if (event.target === settingsModal || event.target.classList.contains('modal-close-btn')) {
+            settingsModal.classList.remove('visible');
+        }
+    });
+
+    document.getElementById('planner-settings')?.addEventListener('change', (event) => {
+        const { target } = event;
+        if (target.name === 'planner-daily-cap') {
+            const cap = Math.max(0, Math.floor(Number(target.value) || 0));
+            savePreference('plannerDailyCap', cap);
+        } else if (target.name === 'planner-rest-day') {
+            const restDays = [...document.querySelectorAll('input[name="planner-rest-day"]:checked')].map(input => Number(input.value));
+            savePreference('plannerRestDays', restDays);
+        } else {
+            return;
+        }
+        renderPlannerSettings();
+        document.dispatchEvent(new CustomEvent('plannerchange'));
+    });
+
+    setupDataSourceSettings();
+    setupNotificationSettings();
+
+    document.getElementById('focus-settings')?.addEventListener('change', (event) => {
+        const { target } = event;
+        if (target.name !== 'focus-work-minutes' && target.name !== 'focus-break-minutes') return;
+        const minutes = Math.min(180, Math.max(1, Math.round(Number(target.value) || 0)));
+        const key = target.name === 'focus-work-minutes' ? 'workMinutes' : 'breakMinutes';
+        savePreference('focusSettings', { ...getFocusSettings(), [key]: minutes });
+        renderFocusSettings();
+        updateTimeDisplay();
+    });
+
+    const examSettings = document.getElementById('exam-settings');
+
+    examSettings.addEventListener('change', (event) => {
+        const { target } = event;
+        if (target.name === 'target-exam') {
+            savePreference('targetExamId', target.value);
+        } else if (target.classList.contains('exam-pin')) {
+            const pinnedIds = loadPreference('pinnedExamIds', []).filter(id => id !== target.value);
+            if (target.checked) pinnedIds.push(target.value);
+            savePreference('pinnedExamIds', pinnedIds);
+        } else if (target.classList.contains('exam-prep-start')) {
+            const prepStarts = loadPreference('examPrepStarts', {});
+            if (target.value) prepStarts[target.dataset.examId] = target.value;
+            else delete prepStarts[target.dataset.examId];
+            savePreference('examPrepStarts', prepStarts);
+        } else if (target.classList.contains('exam-cutoff')) {
+            const cutoffs = loadPreference('examCutoffs', {});
+            if (target.value !== '') cutoffs[target.dataset.examId] = Number(target.value);
+            else delete cutoffs[target.dataset.examId];
+            savePreference('examCutoffs', cutoffs);
+        } else {
+            return;
+        }
+        applyExamSettings();
+    });
+
+    examSettings.addEventListener('click', (event) => {
+        if (!event.target.classList.contains('btn-delete-exam')) return;
+        const examId = event.target.dataset.examId;
+        savePreference('customExams', loadPreference('customExams', []).filter(exam => exam.id !== examId));
+        savePreference('pinnedExamIds', loadPreference('pinnedExamIds', []).filter(id => id !== examId));
+        applyExamSettings();
+    });
+
+    examSettings.addEventListener('submit', (event) => {
+        event.preventDefault();
+        const form = event.target;
+        const name = form.elements['exam-name'].value.trim();
+        const date = form.elements['exam-date'].value;
+        const prepStart = form.elements['exam-prep-start'].value;
+        const errorElement = form.querySelector('.settings-error');
+
+        if (!name || !date) {
+            errorElement.textContent = 'Enter a name and a date for the exam.';
+            return;
+        }
+        if (new Date(`${date}T00:00:00`) < new Date().setHours(0, 0, 0, 0)) {
+            errorElement.textContent = 'The exam date must be today or later.';
+            return;
+        }
+
+        const exam = { id: `custom:${createId()}`, name, date, isCustom: true };
+        savePreference('customExams', [...loadPreference('customExams', []), exam]);
+        if (prepStart) savePreference('examPrepStarts', { ...loadPreference('examPrepStarts', {}), [exam.id]: prepStart });
+        applyExamSettings();
+    });
+}
+
+/**
+ * Renders the exam settings: target and pinned exams, preparation start dates,
+ * and the form for adding our own exams.
+ */
+function renderExamSettings() {
+    const examSettings = document.getElementById('exam-settings');
+    if (!examSettings) return;
+
+    const futureExams = processExams();
+    const targetExam = getTargetExam(futureExams);
+    const pinnedIds = loadPreference('pinnedExamIds', []);
+    const prepStarts = loadPreference('examPrepStarts', {});
+    const cutoffs = loadPreference('examCutoffs', {});
+
+    const rows = futureExams.map(exam => `
+        <tr>
+            <td><input type="radio" name="target-exam" value="${escapeHtml(exam.id)}" ${exam === targetExam ? 'checked' : ''}></td>
+            <td><input type="checkbox" class="exam-pin" value="${escapeHtml(exam.id)}" ${pinnedIds.includes(exam.id) ? 'checked' : ''}></td>
+            <td>${escapeHtml(exam.name)}${exam.isCustom ? ' <span class="settings-note">(yours)</span>' : ''}</td>
+            <td>${new Date(exam.date).toLocaleDateString('en-GB', { day: 'numeric', month: 'short', year: 'numeric' })}</td>
+            <td><input type="date" class="exam-prep-start" data-exam-id="${escapeHtml(exam.id)}" value="${escapeHtml(prepStarts[exam.id] || '')}"></td>
+            <td><input type="number" class="exam-cutoff" data-exam-id="${escapeHtml(exam.id)}" min="0" step="any" value="${cutoffs[exam.id] ?? ''}"></td>
+            <td>${exam.isCustom ? `<button class="btn-delete-exam" data-exam-id="${escapeHtml(exam.id)}" title="Remove this exam">&times;</button>` : ''}</td>
+        </tr>
+    `).join('');
+
+    examSettings.innerHTML = `
+        <h3 class="settings-title">Exams</h3>
+        <p class="settings-help">
+            The <strong>target</strong> exam drives the Per Day Metric and the main countdown.
+            The header countdown cycles through <strong>pinned</strong> exams (or just the target if none are pinned).
+            Preparation starts ${DEFAULT_PREP_DAYS} days before an exam unless you set a date.
+            The Performance card projects mock scores to the target exam and compares them with its <strong>cutoff</strong>.
+        </p>
+        ${futureExams.length > 0 ? `
+            <table class="settings-table">
+                <thead>
+                    <tr><th>Target</th><th>Pin</th><th>Exam</th><th>Date</th><th>Preparation starts</th><th>Cutoff</th><th></th></tr>
+                </thead>
+                <tbody>${rows}</tbody>
+            </table>
+        ` : '<p>No upcoming exams.</p>'}
+        <form class="settings-form">
+            <input name="exam-name" placeholder="Exam name (e.g. State PSC Prelims)">
+            <label>Date <input name="exam-date" type="date"></label>
+            <label>Preparation starts <input name="exam-prep-start" type="date"></label>
+            <button type="submit" class="btn-secondary">Add Exam</button>
+            <p class="settings-error"></p>
+        </form>
+    `;
+}
+
+/**
+ * Renders the planner settings: the daily cap and which weekdays are rest days.
+ */
+function renderPlannerSettings() {
+    const plannerSettings = document.getElementById('planner-settings');
+    if (!plannerSettings) return;
+
+    const { dailyCap, restDays } = getPlannerSettings();
+    const weekdays = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+    const dayCheckboxes = weekdays.map((name, day) => `
+        <label class="planner-rest-day">
+            <input type="checkbox" name="planner-rest-day" value="${day}" ${restDays.includes(day) ? 'checked' : ''}> ${name}
+        </label>
+    `).join('');
+
+    plannerSettings.innerHTML = `
+        <h3 class="settings-title">Study Planner</h3>
+        <p class="settings-help">
+            Unread editorials are spread over the study days left before the target exam, oldest first.
+            Anything not read on its day is carried over to the next study day.
+        </p>
+        <div class="settings-form">
+            <label>Daily cap <input type="number" name="planner-daily-cap" min="0" value="${dailyCap}"></label>
+            <span class="settings-note">0 means no cap</span>
+        </div>
+        <div class="settings-form">Rest days ${dayCheckboxes}</div>
+    `;
+}
+
+/**
+ * Re-applies the exam settings everywhere they're used and tells the rest of the page.
+ */
+function applyExamSettings() {
+    const futureExams = processExams();
+
+    countdownExams = getCountdownExams(futureExams);
+    if (countdownExamIndex >= countdownExams.length) countdownExamIndex = 0;
+    updateTimeDisplay();
+
+    displayExamTimers(futureExams);
+    renderExamSettings();
+    document.dispatchEvent(new CustomEvent('examschange', { detail: futureExams }));
 }
 
 /**
@@ -90,7 +371,8 @@ function displayWelcomeMessage() {
     } else {
         greeting = 'Good Evening';
     }
-    greetingElement.textContent = greeting;
+    const profile = getActiveProfile();
+    greetingElement.textContent = profile ? `${greeting}, ${profile.name}` : greeting;
 }
 
 
@@ -102,9 +384,20 @@ function setupLiveTimeDisplay() {
     const timeElement = document.getElementById('time-display');
     if (!timeElement) return;
 
-    // Add a click listener to toggle between clock and countdown
+    // Add a click listener to cycle from the clock through each pinned exam's countdown, then the focus timer
+    timeElement.title = 'Click to cycle between the clock, exam countdowns and the focus timer';
     timeElement.addEventListener('click', () => {
-        isClockMode = !isClockMode; // Flip the mode
+        if (timeDisplayMode === 'clock') {
+            timeDisplayMode = 'countdown';
+            countdownExamIndex = 0;
+        } else if (timeDisplayMode === 'countdown' && countdownExamIndex < countdownExams.length - 1) {
+            countdownExamIndex++;
+        } else if (timeDisplayMode === 'countdown') {
+            timeDisplayMode = 'focus';
+        } else {
+            timeDisplayMode = 'clock';
+        }
+        renderFocusControls();
         updateTimeDisplay(); // Update immediately on click
     });
 
@@ -119,43 +412,69 @@ function setupLiveTimeDisplay() {
 
 /**
  * This function runs every second to update the time display.
- * It shows either the current time or a countdown to the next exam.
+ * It shows the current time, a countdown to the next exam, or the focus timer.
  */
 function updateTimeDisplay() {
     const timeElement = document.getElementById('time-display');
     if (!timeElement) return;
     
     const now = new Date();
+    // The focus timer moves on between phases whichever mode is showing
+    advanceFocusTimer(now.getTime());
 
-    if (isClockMode) {
+    if (timeDisplayMode === 'clock') {
         // CLOCK MODE: Show current time in hh:mm:ss format
         timeElement.textContent = now.toLocaleTimeString('en-GB');
 
+    } else if (timeDisplayMode === 'focus') {
+        // FOCUS MODE: Show the time left in the current work or break phase
+        timeElement.textContent = formatFocusTimer(now.getTime());
+
     } else {
-        // COUNTDOWN MODE: Show time remaining to the next exam
-        if (!upcomingExamDate) {
+        // COUNTDOWN MODE: Show time remaining to the current pinned exam
+        const exam = countdownExams[countdownExamIndex];
+        if (!exam) {
             timeElement.textContent = "No upcoming exam.";
             return;
         }
 
-        const diff = upcomingExamDate.getTime() - now.getTime();
+        const diff = new Date(exam.date).getTime() - now.getTime();
 
         if (diff <= 0) {
             timeElement.textContent = "Exam day is here!";
             return;
         }
 
-        // Calculate days, hours, minutes, seconds
-        const days = Math.floor(diff / (1000 * 60 * 60 * 24));
-        const hours = Math.floor((diff % (1000 * 60 * 60 * 24)) / (1000 * 60 * 60));
-        const minutes = Math.floor((diff % (1000 * 60 * 60)) / (1000 * 60));
-        const seconds = Math.floor((diff % (1000 * 60)) / 1000);
-
         // Format the output string
-        timeElement.textContent = `${days}d ${hours.toString().padStart(2, '0')}:${minutes.toString().padStart(2, '0')}:${seconds.toString().padStart(2, '0')} until ${upcomingExamName}`;
+        const { days } = splitDuration(diff);
+        timeElement.textContent = `${days}d ${formatDuration(diff % (1000 * 60 * 60 * 24))} until ${exam.name}`;
     }
 }
 
+/**
+ * Splits a duration into whole days, hours, minutes and seconds.
+ * @param {number} diff - The duration in milliseconds.
+ * @returns {{days: number, hours: number, minutes: number, seconds: number}}
+ */
+function splitDuration(diff) {
+    return {
+        days: Math.floor(diff / (1000 * 60 * 60 * 24)),
+        hours: Math.floor((diff % (1000 * 60 * 60 * 24)) / (1000 * 60 * 60)),
+        minutes: Math.floor((diff % (1000 * 60 * 60)) / (1000 * 60)),
+        seconds: Math.floor((diff % (1000 * 60)) / 1000)
+    };
+}
+
+/**
+ * Formats a duration of under a day as hh:mm:ss.
+ * @param {number} diff - The duration in milliseconds.
+ * @returns {string}
+ */
+function formatDuration(diff) {
+    const { hours, minutes, seconds } = splitDuration(diff);
+    return `${hours.toString().padStart(2, '0')}:${minutes.toString().padStart(2, '0')}:${seconds.toString().padStart(2, '0')}`;
+}
+
 /**
  * A helper function to create the HTML element for a single exam block.
  * @param {object} exam - The exam object from the API.
@@ -165,6 +484,7 @@ function updateTimeDisplay() {
 function createExamBlock(exam, isUpcoming = false) {
     const examBlock = document.createElement('div');
     examBlock.className = 'exam-block';
+    examBlock.dataset.examId = exam.id;
     if (isUpcoming) {
         examBlock.classList.add('exam-block--upcoming');
     }
@@ -183,178 +503,1342 @@ function createExamBlock(exam, isUpcoming = false) {
     examBlock.appendChild(nameElement);
     examBlock.appendChild(divider);
     examBlock.appendChild(daysElement);
+    examBlock.appendChild(createProgressRing(exam, isUpcoming ? 64 : 40));
 
     return examBlock;
 }
 
+/**
+ * Creates an SVG ring showing how much of an exam's preparation window has passed.
+ * @param {object} exam - A processed exam.
+ * @param {number} size - The ring's width and height in pixels.
+ * @returns {HTMLElement}
+ */
+function createProgressRing(exam, size) {
+    const { start, progress } = getPreparationProgress(exam);
+    const strokeWidth = size / 8;
+    const radius = (size - strokeWidth) / 2;
+    const circumference = 2 * Math.PI * radius;
+    const percent = Math.round(progress * 100);
+
+    const ring = document.createElement('div');
+    ring.className = 'exam-progress';
+    ring.title = `${percent}% of the preparation window (since ${start.toLocaleDateString('en-GB', { day: 'numeric', month: 'short', year: 'numeric' })}) has passed`;
+    ring.innerHTML = `
+        <svg width="${size}" height="${size}" viewBox="0 0 ${size} ${size}">
+            <circle class="exam-progress-track" cx="${size / 2}" cy="${size / 2}" r="${radius}" stroke-width="${strokeWidth}"></circle>
+            <circle class="exam-progress-value" cx="${size / 2}" cy="${size / 2}" r="${radius}" stroke-width="${strokeWidth}"
+                stroke-dasharray="${circumference}" stroke-dashoffset="${circumference * (1 - progress)}"
+                transform="rotate(-90 ${size / 2} ${size / 2})"></circle>
+            <text x="50%" y="50%" dominant-baseline="central" text-anchor="middle">${percent}%</text>
+        </svg>
+    `;
+    return ring;
+}
+
 // Displays the performance data in a chart and a list of scores.
-// This function fetches the data from the API and populates the UI accordingly.
-async function displayPerformanceData() {
+// This function fetches the list of mock series from the API, lets the user pick
+// which ones to show, and populates the UI for the selection. Scores are projected
+// to the target exam among futureExams, and re-projected when the exams change.
+async function displayPerformanceData(futureExams) {
     const scoresContainer = document.getElementById('scores-list-container');
     const chartCanvas = document.getElementById('performance-chart');
+    const pickerContainer = document.getElementById('series-picker');
 
     // GUARD CLAUSE: If these elements don't exist on the page, exit the function.
     if (!scoresContainer || !chartCanvas) {
         return; // If these elements don't exist, stop.
     }
 
-    // In a real app, you would get this ID dynamically (e.g., from a dropdown)
-    // For now, we'll use the one you provided.
-    const seriesId = 'eSZtHFBepNOZaOABQx7I';
-    const apiUrl = `https://kenshin.pythonanywhere.com/api/v1/mocks/${seriesId}/tests`;
+    // 1. Find every mock series the API exposes, plus the scores we've entered ourselves
+    try {
+        apiSeriesList = await dataSource.getMockSeries();
+    } catch (error) {
+        // Without the list we can still show the series we've always used
+        apiSeriesList = [{ id: DEFAULT_MOCK_SERIES_ID, name: 'Mock Tests' }];
+        console.error('Error fetching mock series:', error);
+    }
+    manualTests = await loadManualTests();
+
+    // 2. Restore the saved selection, dropping any series that no longer exist
+    const allSeries = getAllSeries();
+    selectedSeriesIds = loadPreference('selectedMockSeries', [DEFAULT_MOCK_SERIES_ID])
+        .filter(id => allSeries.some(series => series.id === id));
+    // A new local folder or account may have no series at all until a score is added
+    if (selectedSeriesIds.length === 0 && allSeries.length > 0) selectedSeriesIds = [allSeries[0].id];
+
+    performanceView.groupBy = loadPreference('performanceGroupBy', 'series');
+    performanceExam = getTargetExam(futureExams);
+    setupPerformanceControls();
+    setupScoreEntry();
+
+    // 3. Render the picker and redraw whenever the selection changes
+    if (pickerContainer) {
+        renderSeriesPicker();
+
+        pickerContainer.addEventListener('change', () => {
+            const checked = [...pickerContainer.querySelectorAll('input:checked')].map(input => input.value);
+            // Always keep at least one series selected
+            if (checked.length === 0) {
+                // Compare values directly: provider names can contain quotes that would break a selector
+                const kept = [...pickerContainer.querySelectorAll('input')].find(input => input.value === selectedSeriesIds[0]);
+                if (kept) kept.checked = true;
+                return;
+            }
+            selectedSeriesIds = checked;
+            savePreference('selectedMockSeries', selectedSeriesIds);
+            renderSeriesPerformance();
+        });
+    }
+
+    // Re-project when the target exam, its date or its cutoff changes
+    document.addEventListener('examschange', (event) => {
+        performanceExam = getTargetExam(event.detail);
+        drawPerformance();
+    });
+
+    await renderSeriesPerformance();
+}
+
+// Every series the API exposes, and the ids of the ones currently shown
+let apiSeriesList = [];
+let selectedSeriesIds = [];
+
+/**
+ * Lists the API series followed by one pseudo-series per provider of manually entered scores.
+ * @returns {Array} - Series objects; manual ones have isManual set.
+ */
+function getAllSeries() {
+    const providers = [...new Set(manualTests.map(test => test.provider))];
+    return [
+        ...apiSeriesList,
+        ...providers.map(provider => ({ id: `manual:${provider}`, name: provider, isManual: true }))
+    ];
+}
+
+/**
+ * Renders a checkbox chip for every series, ticking the selected ones.
+ */
+function renderSeriesPicker() {
+    const pickerContainer = document.getElementById('series-picker');
+    if (!pickerContainer) return;
+
+    pickerContainer.innerHTML = '';
+    getAllSeries().forEach(series => {
+        const chip = document.createElement('label');
+        chip.className = 'series-chip';
+        // Manual series are named after whatever provider was typed or imported, so escape them
+        chip.innerHTML = `<input type="checkbox" value="${escapeHtml(series.id)}"> <span>${escapeHtml(getSeriesName(series))}</span>`
+            + (series.isManual ? ' <span class="series-chip-note">manual</span>' : '');
+        chip.querySelector('input').checked = selectedSeriesIds.includes(series.id);
+        pickerContainer.appendChild(chip);
+    });
+}
+
+// The series shown before the picker existed, used when nothing has been chosen yet
+const DEFAULT_MOCK_SERIES_ID = 'eSZtHFBepNOZaOABQx7I';
+
+// Line colours for each selected series, in order
+const SERIES_COLORS = ['#4267B2', '#42b72a', '#f7b928', '#f02849', '#8a3ffc', '#00a3a3'];
+
+// The chart is redrawn on every selection change, so keep hold of it to clean up
+let performanceChart = null;
+
+// Tests already fetched for each series, keyed by series id
+const seriesTestsCache = new Map();
+
+// Bumped on every redraw so a slow fetch can't overwrite a newer selection
+let performanceRenderId = 0;
+
+/**
+ * Picks a display name for a mock series, whatever the API calls the field.
+ * @param {object} series - The series object from the API.
+ * @returns {string}
+ */
+function getSeriesName(series) {
+    return series.name || series.title || series.id;
+}
+
+/**
+ * Gets the tests for a series: fetched (once) from the API, or taken from the manual entries.
+ * @param {object} series - A series from getAllSeries().
+ * @returns {Promise<Array>} - Test objects in the API's shape.
+ */
+async function getSeriesTests(series) {
+    if (series.isManual) {
+        return sortTestsByDate(manualTests.filter(test => test.provider === series.name));
+    }
+    if (!seriesTestsCache.has(series.id)) {
+        seriesTestsCache.set(series.id, await dataSource.getMockTests(series.id));
+    }
+    return seriesTestsCache.get(series.id);
+}
+
+/**
+ * Fetches the tests for each selected series, then redraws the Performance card.
+ */
+async function renderSeriesPerformance() {
+    const scoresContainer = document.getElementById('scores-list-container');
+    const selectedSeries = getAllSeries().filter(series => selectedSeriesIds.includes(series.id));
+    const renderId = ++performanceRenderId;
 
     try {
-        const response = await fetch(apiUrl);
-        if (!response.ok) throw new Error(`HTTP Error: ${response.status}`);
-        const tests = await response.json();
+        const seriesTests = await Promise.all(selectedSeries.map(async series => ({ series, tests: await getSeriesTests(series) })));
+        if (renderId !== performanceRenderId) return;
+
+        performanceSeriesTests = seriesTests;
+        // A subject filter only makes sense if the new selection still has that subject
+        if (!seriesTests.some(({ tests }) => tests.some(test => test.subject === performanceView.subject))) {
+            performanceView.subject = null;
+        }
+        drawPerformance();
+        drawStudyTimeChart(); // Its mock score line follows the selected series
+
+    } catch (error) {
+        scoresContainer.innerHTML = `<p style="color: red;">Could not load performance data.</p>`;
+        console.error("Error fetching performance data:", error);
+    }
+}
+
+// Number of tests averaged by the rolling average line
+const ROLLING_AVERAGE_WINDOW = 3;
+
+// The selected series with their tests, as last fetched
+let performanceSeriesTests = [];
+
+// The exam scores are projected to: the target exam from settings
+let performanceExam = null;
+
+// Multiplier on the standard error for the projection's band: about 95% of outcomes,
+// assuming test-to-test scatter around the trend is roughly normal
+const PROJECTION_Z = 1.96;
+
+// How the Performance card is sliced: chart lines per 'series' or per 'subject',
+// and the subject the list, overlays and stats are filtered to (null for all)
+let performanceView = { groupBy: 'series', subject: null };
+
+/**
+ * Draws the scores list, chart and stats for the current selection and view.
+ */
+function drawPerformance() {
+    const scoresContainer = document.getElementById('scores-list-container');
+    const chartCanvas = document.getElementById('performance-chart');
+    const { groupBy, subject } = performanceView;
+
+    // Every test, tagged with its series, and the ones in the current subject filter
+    const allTests = performanceSeriesTests.flatMap(({ series, tests }) =>
+        tests.map(test => ({ ...test, seriesName: getSeriesName(series) })));
+    const scopeTests = sortTestsByDate(allTests.filter(test => !subject || test.subject === subject));
+    const summary = summarizeScores(scopeTests.map(test => test.score));
+
+    // 1. Populate the list of scores on the left, one group per series
+    scoresContainer.innerHTML = ''; // Clear placeholder
+    if (performanceSeriesTests.length === 0) {
+        scoresContainer.innerHTML = '<p class="scores-filter-note">No mock series yet. Add a score to start one.</p>';
+    }
+    if (subject) {
+        const filterNote = document.createElement('p');
+        filterNote.className = 'scores-filter-note';
+        filterNote.innerHTML = `Showing ${escapeHtml(subject)} only <button class="btn-clear-subject">Show all</button>`;
+        scoresContainer.appendChild(filterNote);
+    }
+    performanceSeriesTests.forEach(({ series, tests }) => {
+        const visibleTests = tests.filter(test => !subject || test.subject === subject);
+        if (visibleTests.length === 0) return;
+
+        if (performanceSeriesTests.length > 1) {
+            const groupTitle = document.createElement('p');
+            groupTitle.className = 'scores-group-title';
+            groupTitle.textContent = getSeriesName(series);
+            scoresContainer.appendChild(groupTitle);
+        }
+        [...visibleTests].reverse().forEach(test => {
+            // Flag personal best/worst within the current filter
+            let badge = '';
+            if (scopeTests.length > 1 && test.score === summary.best) badge = '<span class="score-badge score-badge--best">Best</span>';
+            else if (scopeTests.length > 1 && test.score === summary.worst) badge = '<span class="score-badge score-badge--worst">Worst</span>';
+
+            // Manual entries show their max marks and can be deleted
+            const maxMarks = test.max_marks ? `<span class="score-block-max">/${test.max_marks}</span>` : '';
+            const deleteButton = test.manualId
+                ? `<button class="btn-delete-score" data-manual-id="${test.manualId}" title="Delete this score">&times;</button>`
+                : '';
 
-        // 1. Populate the list of scores on the left
-        scoresContainer.innerHTML = ''; // Clear placeholder
-        [...tests].reverse().forEach(test => {
             const scoreBlock = document.createElement('div');
             scoreBlock.className = 'score-block';
             scoreBlock.innerHTML = `
-                <span class="score-block-name">${test.subject} (Test #${test['test-number']})</span>
-                <span class="score-block-value">${test.score}</span>
+                <span class="score-block-name">${escapeHtml(test.subject)} (Test #${test['test-number']})${badge}</span>
+                <span class="score-block-value">${test.score}${maxMarks}${deleteButton}</span>
             `;
             scoresContainer.appendChild(scoreBlock);
         });
+    });
 
-        // 2. Prepare data and draw the chart on the right
-        const labels = tests.map(test => new Date(test.date).toLocaleDateString('en-GB', {day:'numeric', month:'short'}));
-        const scores = tests.map(test => test.score);
+    // 2. Prepare data and draw the chart on the right.
+    // Series are taken on different days, so share one axis of every test date
+    // and leave gaps where a line has no test that day.
+    const dateKeys = [...new Set(allTests.map(test => test.date))].sort((a, b) => new Date(a) - new Date(b));
+    const labels = dateKeys.map(date => new Date(date).toLocaleDateString('en-GB', {day:'numeric', month:'short'}));
+    // The projection adds the exam day as one more point at the end of the axis
+    const projection = calculateScoreProjection(scopeTests, performanceExam);
+    if (projection) labels.push(`${performanceExam.name} (${new Date(performanceExam.date).toLocaleDateString('en-GB', {day:'numeric', month:'short'})})`);
 
-        new Chart(chartCanvas, {
-            type: 'line',
-            data: {
-                labels: labels,
-                datasets: [{
-                    label: 'Mock Score',
-                    data: scores,
-                    borderColor: '#4267B2', // A nice blue color
-                    backgroundColor: 'rgba(66, 103, 178, 0.1)',
-                    fill: true,
-                    tension: 0.3, // Makes the line curve smoothly
-                    pointBackgroundColor: '#4267B2',
-                    pointRadius: 4
-                }]
+    const lineGroups = groupBy === 'subject'
+        ? groupTestsBy(allTests, test => test.subject)
+        : performanceSeriesTests.map(({ series, tests }) => ({ name: getSeriesName(series), tests }));
+
+    const datasets = lineGroups.map(({ name, tests }, i) => {
+        // When filtering by subject, fade the other subjects' lines
+        const isFaded = groupBy === 'subject' && subject && name !== subject;
+        const color = SERIES_COLORS[i % SERIES_COLORS.length] + (isFaded ? '40' : '');
+        const testsByDate = dateKeys.map(date => tests.find(t => t.date === date) || null);
+        return {
+            label: name,
+            data: testsByDate.map(test => test ? test.score : null),
+            tests: testsByDate, // Lets a click on a point find its test
+            borderColor: color,
+            backgroundColor: `${color.slice(0, 7)}1a`, // The same colour at 10% opacity
+            fill: lineGroups.length === 1, // Overlapping fills get muddy, so only fill a lone line
+            tension: 0.3, // Makes the line curve smoothly
+            spanGaps: true,
+            pointBackgroundColor: color,
+            pointRadius: 4
+        };
+    });
+
+    datasets.push(...buildAnalyticsDatasets(scopeTests, dateKeys, summary));
+    if (projection) datasets.push(...buildProjectionDatasets(projection, dateKeys));
+
+    if (performanceChart) performanceChart.destroy();
+    performanceChart = new Chart(chartCanvas, {
+        type: 'line',
+        data: {
+            labels: labels,
+            datasets: datasets
+        },
+        options: {
+            responsive: true,
+            maintainAspectRatio: false,
+            // Clicking a point filters everything to that test's subject (clicking it again clears)
+            onClick: (event, elements) => {
+                if (elements.length === 0) return;
+                const { datasetIndex, index } = elements[0];
+                const test = datasets[datasetIndex].tests?.[index];
+                if (!test) return;
+                setPerformanceSubject(performanceView.subject === test.subject ? null : test.subject);
+            },
+            plugins: {
+                legend: {
+                    display: datasets.length > 1, // Only needed to tell lines apart
+                    labels: {
+                        filter: item => item.text !== '' // The lower edge of the projection band has no entry of its own
+                    }
+                }
             },
-            options: {
-                responsive: true,
-                maintainAspectRatio: false,
-                plugins: {
-                    legend: {
-                        display: false // Hides the legend label to keep it clean
+            scales: {
+                y: {
+                    beginAtZero: false, // Y-axis doesn't have to start at 0
+                    ticks: {
+                        padding: 10
                     }
                 },
-                scales: {
-                    y: {
-                        beginAtZero: false, // Y-axis doesn't have to start at 0
-                        ticks: {
-                            padding: 10
-                        }
-                    },
-                    x: {
-                        ticks: {
-                            padding: 10
-                        }
+                x: {
+                    ticks: {
+                        padding: 10
                     }
                 }
             }
-        });
+        }
+    });
 
-    } catch (error) {
-        scoresContainer.innerHTML = `<p style="color: red;">Could not load performance data.</p>`;
-        console.error("Error fetching performance data:", error);
-    }
+    // 3. Show the summary, the projection and the per-subject breakdown below
+    renderPerformanceStats(allTests, summary, projection);
 }
 
 /**
- * Displays the main countdown blocks. Now accepts exam data as a parameter.
- * @param {Array} futureExams - The pre-fetched and processed array of future exams.
+ * Builds the rolling average, trend line and best/worst marker datasets for a set of tests.
+ * @param {Array} scopeTests - The tests to analyse, sorted by date.
+ * @param {string[]} dateKeys - The chart's x-axis dates.
+ * @param {object} summary - The tests' summary from summarizeScores().
+ * @returns {Array} - Chart.js datasets (empty when there are too few tests to analyse).
  */
-function displayExamTimers(futureExams) {
-    const upcomingContainer = document.getElementById('upcoming-exam-container');
-    const othersContainer = document.getElementById('other-exams-container');
+function buildAnalyticsDatasets(scopeTests, dateKeys, summary) {
+    if (scopeTests.length < 2) return [];
 
-    // GUARD CLAUSE: If these elements don't exist on the page, exit the function.
-    if (!upcomingContainer || !othersContainer) {
-        return;
-    }
-    
-    try {
-        if (!futureExams || futureExams.length === 0) {
-            upcomingContainer.innerHTML = '<p>No upcoming exams.</p>';
-            return;
+    const scores = scopeTests.map(test => test.score);
+    const rollingAverages = calculateRollingAverage(scores, ROLLING_AVERAGE_WINDOW);
+
+    // Regress against days since the first test, so uneven gaps between tests are respected
+    const firstTime = new Date(scopeTests[0].date).getTime();
+    const daysSinceFirst = date => (new Date(date).getTime() - firstTime) / (1000 * 60 * 60 * 24);
+    const { slope, intercept } = calculateLinearRegression(scopeTests.map(test => ({ x: daysSinceFirst(test.date), y: test.score })));
+
+    // Spread values over the shared x-axis; the last test on a date wins
+    const valueOnDate = values => dateKeys.map(date => {
+        const index = scopeTests.findLastIndex(test => test.date === date);
+        return index === -1 ? null : values[index];
+    });
+    const bestTest = scopeTests.find(test => test.score === summary.best);
+    const worstTest = scopeTests.find(test => test.score === summary.worst);
+    const markerOn = test => dateKeys.map(date => date === test.date ? test.score : null);
+
+    return [
+        {
+            label: `${ROLLING_AVERAGE_WINDOW}-test average`,
+            data: valueOnDate(rollingAverages.map(value => Math.round(value * 10) / 10)),
+            borderColor: '#606770',
+            borderDash: [6, 4],
+            borderWidth: 2,
+            pointRadius: 0,
+            spanGaps: true,
+            tension: 0.3,
+            fill: false
+        },
+        {
+            label: 'Trend',
+            data: valueOnDate(scopeTests.map(test => Math.round((intercept + slope * daysSinceFirst(test.date)) * 10) / 10)),
+            borderColor: '#a0c4ff',
+            borderDash: [2, 3],
+            borderWidth: 2,
+            pointRadius: 0,
+            spanGaps: true,
+            fill: false
+        },
+        {
+            label: 'Best',
+            data: markerOn(bestTest),
+            tests: dateKeys.map(date => date === bestTest.date ? bestTest : null),
+            showLine: false,
+            pointStyle: 'triangle',
+            pointRadius: 9,
+            pointBackgroundColor: '#42b72a',
+            borderColor: '#42b72a'
+        },
+        {
+            label: 'Worst',
+            data: markerOn(worstTest),
+            tests: dateKeys.map(date => date === worstTest.date ? worstTest : null),
+            showLine: false,
+            pointStyle: 'rectRot',
+            pointRadius: 8,
+            pointBackgroundColor: '#f02849',
+            borderColor: '#f02849'
         }
+    ];
+}
 
-        // Clear any previous content
-        upcomingContainer.innerHTML = '';
-        othersContainer.innerHTML = '';
+/**
+ * Projects the trend of some tests forward to an exam's date. The band around the projection
+ * is a prediction interval: it widens the further the exam is from the tests, and with fewer
+ * or more scattered tests. The remaining tests are estimated from the average gap between tests.
+ * @param {Array} scopeTests - The tests to project from, sorted by date.
+ * @param {object|null} exam - The exam to project to.
+ * @returns {object|null} - null without an exam or with fewer than two tests.
+ */
+function calculateScoreProjection(scopeTests, exam) {
+    if (!exam || scopeTests.length < 2) return null;
 
-        const upcomingExam = futureExams[0];
-        const otherExams = futureExams.slice(1);
+    // 1. The same regression as the chart's trend line, against days since the first test
+    const firstTime = new Date(scopeTests[0].date).getTime();
+    const daysSinceFirst = date => (new Date(date).getTime() - firstTime) / (1000 * 60 * 60 * 24);
+    const points = scopeTests.map(test => ({ x: daysSinceFirst(test.date), y: test.score }));
+    const { slope, intercept } = calculateLinearRegression(points);
+    const trendAt = x => intercept + slope * x;
 
-        const upcomingBlock = createExamBlock(upcomingExam, true);
-        upcomingContainer.appendChild(upcomingBlock);
+    // 2. The residual standard error; two tests always sit exactly on their line, so there's no band
+    const n = points.length;
+    const meanX = points.reduce((sum, p) => sum + p.x, 0) / n;
+    const varianceX = points.reduce((sum, p) => sum + (p.x - meanX) ** 2, 0);
+    const standardError = n > 2
+        ? Math.sqrt(points.reduce((sum, p) => sum + (p.y - trendAt(p.x)) ** 2, 0) / (n - 2))
+        : 0;
+    const marginAt = x => PROJECTION_Z * standardError
+        * Math.sqrt(1 + 1 / n + (varianceX === 0 ? 0 : (x - meanX) ** 2 / varianceX));
 
-        otherExams.forEach(exam => {
-            const examBlock = createExamBlock(exam, false);
-            othersContainer.appendChild(examBlock);
+    // 3. Where the trend stands now, and how many tests fit in before the exam at the usual pace
+    const lastX = points[n - 1].x;
+    const examX = daysSinceFirst(exam.date);
+    const averageGap = lastX / (n - 1);
+    const remainingTests = averageGap > 0 ? Math.max(1, Math.floor((examX - lastX) / averageGap)) : 1;
+
+    // 4. The cutoff, if one is set, and what it takes to reach it from the current trend level
+    const cutoff = loadPreference('examCutoffs', {})[exam.id] ?? null;
+    const current = trendAt(lastX);
+    const projected = trendAt(examX);
+
+    return {
+        exam,
+        lastDate: scopeTests[n - 1].date,
+        current,
+        currentMargin: marginAt(lastX),
+        projected,
+        margin: marginAt(examX),
+        cutoff,
+        gap: cutoff === null ? null : projected - cutoff,
+        remainingTests,
+        trendPerTest: slope * averageGap,
+        requiredPerTest: cutoff === null ? null : (cutoff - current) / remainingTests
+    };
+}
+
+/**
+ * Builds the projection line from the latest test to the exam day, its band and the cutoff line.
+ * Each dataset has one more value than dateKeys, for the exam day at the end of the axis.
+ * @param {object} projection - From calculateScoreProjection().
+ * @param {string[]} dateKeys - The chart's test dates.
+ * @returns {Array} - Chart.js datasets.
+ */
+function buildProjectionDatasets(projection, dateKeys) {
+    const { current, currentMargin, projected, margin, cutoff } = projection;
+    const round = value => Math.round(value * 10) / 10;
+    const lastIndex = dateKeys.indexOf(projection.lastDate);
+    // A value at the latest test and at the exam day, with gaps in between
+    const fromLastTest = (start, end) => [...dateKeys.map((_, i) => i === lastIndex ? round(start) : null), round(end)];
+
+    const datasets = [{
+        label: 'Projection',
+        data: fromLastTest(current, projected),
+        borderColor: '#8a3ffc',
+        borderDash: [6, 4],
+        borderWidth: 2,
+        pointRadius: dateKeys.map(() => 0).concat(5),
+        pointBackgroundColor: '#8a3ffc',
+        spanGaps: true,
+        fill: false
+    }];
+
+    if (margin > 0) {
+        // The lower edge is drawn first so the upper one can fill down to it
+        datasets.push({
+            label: '',
+            data: fromLastTest(current - currentMargin, projected - margin),
+            borderColor: 'transparent',
+            pointRadius: 0,
+            spanGaps: true,
+            fill: false
+        }, {
+            label: 'Likely range',
+            data: fromLastTest(current + currentMargin, projected + margin),
+            borderColor: 'transparent',
+            backgroundColor: '#8a3ffc26',
+            pointRadius: 0,
+            spanGaps: true,
+            fill: '-1'
         });
+    }
 
-    } catch (error) {
-        upcomingContainer.innerHTML = '<p style="color: red;">Could not load exam dates.</p>';
-        console.error('Error displaying exam timers:', error);
+    if (cutoff !== null) {
+        datasets.push({
+            label: 'Cutoff',
+            data: new Array(dateKeys.length + 1).fill(cutoff),
+            borderColor: '#f02849',
+            borderDash: [4, 4],
+            borderWidth: 1,
+            pointRadius: 0,
+            fill: false
+        });
     }
+    return datasets;
 }
 
 /**
- * Initializes the entire file explorer functionality for the editorials page.
+ * Summarizes a projection: the projected score with its range, the gap to the cutoff
+ * and the change per remaining test that would reach it.
+ * @param {object} projection - From calculateScoreProjection().
+ * @returns {string} - HTML.
  */
-async function initializeFileExplorer(futureExams) {
-    const explorerContainer = document.getElementById('file-explorer');
-    if (!explorerContainer) return; // Only run on the editorials page
+function buildProjectionSummaryHtml(projection) {
+    const { exam, projected, margin, cutoff, gap, remainingTests, trendPerTest, requiredPerTest } = projection;
+    const format = value => value.toFixed(1);
+    const signed = value => `${value >= 0 ? '+' : '−'}${format(Math.abs(value))}`;
+    const examDate = new Date(exam.date).toLocaleDateString('en-GB', { day: 'numeric', month: 'short', year: 'numeric' });
+    const parts = [
+        `<span><strong>${escapeHtml(exam.name)}</strong> (${examDate})</span>`,
+        `<span>Projected <strong>${format(projected)}</strong>${margin > 0 ? ` ± ${format(margin)}` : ''}</span>`
+    ];
 
-    const breadcrumb = document.getElementById('breadcrumb');
-    const list = document.getElementById('explorer-list');
+    if (cutoff === null) {
+        parts.push('<span>Set a cutoff for this exam in Settings to see the gap.</span>');
+    } else {
+        parts.push(`<span>Cutoff <strong>${cutoff}</strong></span>`);
+        parts.push(gap >= 0
+            ? `<span class="projection-on-track">On track, <strong>${format(gap)}</strong> above</span>`
+            : `<span class="projection-behind"><strong>${format(-gap)}</strong> below</span>`);
+        // Below the cutoff from above it means the trend is falling too fast, not rising too slowly
+        const overTests = `over ~${remainingTests} test${remainingTests === 1 ? '' : 's'} (trend ${signed(trendPerTest)})`;
+        if (gap >= 0) {
+            parts.push('<span>The current trend clears the cutoff</span>');
+        } else if (requiredPerTest > 0) {
+            parts.push(`<span>Needs <strong>${signed(requiredPerTest)}</strong> per test ${overTests}</span>`);
+        } else {
+            parts.push(`<span>Hold any decline to <strong>−${format(-requiredPerTest)}</strong> per test ${overTests}</span>`);
+        }
+    }
+    return `<div class="performance-summary performance-projection">${parts.join('')}</div>`;
+}
 
-    // Clear the list and set a loading message
-    list.innerHTML = '<li class="loading-message">Loading Editorials...</li>';
+/**
+ * Renders the summary statistics for the current filter, the projection to the target exam,
+ * and a clickable per-subject breakdown.
+ * @param {Array} allTests - Every test in the selected series.
+ * @param {object} summary - The summary for the current filter.
+ * @param {object|null} projection - From calculateScoreProjection(), if there is one.
+ */
+function renderPerformanceStats(allTests, summary, projection) {
+    const statsContainer = document.getElementById('performance-stats');
+    if (!statsContainer) return;
 
-    let editorialsByDate = {}; // This will hold our organized data
-    let allEditorials = [];
-    let currentState = { level: 'years', year: null, month: null };
+    if (summary.count === 0) {
+        statsContainer.innerHTML = '';
+        return;
+    }
 
-    // 1. Fetch and process the data into a nested structure
-    async function fetchData() {
-        const response = await fetch('https://kenshin.pythonanywhere.com/api/v1/notes/editorials');
-        const editorials = await response.json();
-        allEditorials = editorials;
+    const format = value => Number.isInteger(value) ? value : value.toFixed(1);
+    const rows = groupTestsBy(allTests, test => test.subject).map(({ name, tests }) => {
+        const subjectSummary = summarizeScores(tests.map(test => test.score));
+        return `
+            <tr class="subject-row ${name === performanceView.subject ? 'subject-row--active' : ''}" data-subject="${escapeHtml(name)}">
+                <td>${escapeHtml(name)}</td>
+                <td>${subjectSummary.count}</td>
+                <td>${format(subjectSummary.mean)}</td>
+                <td>${format(subjectSummary.median)}</td>
+                <td>${format(subjectSummary.stdDev)}</td>
+                <td>${subjectSummary.best}</td>
+                <td>${subjectSummary.worst}</td>
+            </tr>`;
+    }).join('');
 
-        // Group editorials by year, then month, then day
-        editorials.forEach(e => {
-            const date = new Date(e.date);
-            const year = date.getFullYear();
-            const month = date.toLocaleString('en-GB', { month: 'long' });
-            const day = date.getDate();
+    statsContainer.innerHTML = `
+        <div class="performance-summary">
+            <span><strong>${escapeHtml(performanceView.subject || 'All subjects')}</strong></span>
+            <span>Mean <strong>${format(summary.mean)}</strong></span>
+            <span>Median <strong>${format(summary.median)}</strong></span>
+            <span>Std Dev <strong>${format(summary.stdDev)}</strong></span>
+            <span>Best <strong>${summary.best}</strong></span>
+            <span>Worst <strong>${summary.worst}</strong></span>
+        </div>
+        ${projection ? buildProjectionSummaryHtml(projection) : ''}
+        <table class="subject-table">
+            <thead>
+                <tr><th>Subject</th><th>Tests</th><th>Mean</th><th>Median</th><th>Std Dev</th><th>Best</th><th>Worst</th></tr>
+            </thead>
+            <tbody>${rows}</tbody>
+        </table>
+    `;
+}
 
-            if (!editorialsByDate[year]) editorialsByDate[year] = {};
-            if (!editorialsByDate[year][month]) editorialsByDate[year][month] = {};
-            if (!editorialsByDate[year][month][day]) editorialsByDate[year][month][day] = [];
-            
-            editorialsByDate[year][month][day].push(e);
+/**
+ * Filters the Performance card to one subject (or back to all) and redraws it.
+ * @param {string|null} subject - The subject to focus on, or null for all.
+ */
+function setPerformanceSubject(subject) {
+    performanceView.subject = subject;
+    drawPerformance();
+}
+
+/**
+ * Wires up the group-by selector, the per-subject table and the "Show all" button.
+ */
+function setupPerformanceControls() {
+    const groupBySelect = document.getElementById('performance-group-by');
+    if (groupBySelect) {
+        groupBySelect.value = performanceView.groupBy;
+        groupBySelect.addEventListener('change', () => {
+            performanceView.groupBy = groupBySelect.value;
+            savePreference('performanceGroupBy', performanceView.groupBy);
+            drawPerformance();
         });
     }
 
-    // 2. Functions to render the different levels of the explorer
-    function render() {
-        list.innerHTML = ''; // Clear the list
-        
+    document.getElementById('performance-stats')?.addEventListener('click', (event) => {
+        const row = event.target.closest('.subject-row');
+        if (row) setPerformanceSubject(performanceView.subject === row.dataset.subject ? null : row.dataset.subject);
+    });
 
-        // Render the correct level
-        if (currentState.level === 'years') {
-			breadcrumb.innerHTML = `<span class="crumb-active">🏠 Editorials</span>`;
+    document.getElementById('scores-list-container').addEventListener('click', (event) => {
+        if (event.target.classList.contains('btn-clear-subject')) setPerformanceSubject(null);
+        if (event.target.classList.contains('btn-delete-score')) deleteManualTest(event.target.dataset.manualId);
+    });
+}
+
+/**
+ * Returns a copy of the tests sorted by date, oldest first.
+ * @param {Array} tests - Test objects with a date.
+ * @returns {Array}
+ */
+function sortTestsByDate(tests) {
+    return [...tests].sort((a, b) => new Date(a.date) - new Date(b.date));
+}
+
+/**
+ * Groups tests by a key, keeping groups in order of first appearance.
+ * @param {Array} tests - Test objects.
+ * @param {function(object): string} getKey - Picks the group name for a test.
+ * @returns {Array<{name: string, tests: Array}>}
+ */
+function groupTestsBy(tests, getKey) {
+    const groups = new Map();
+    tests.forEach(test => {
+        const key = getKey(test);
+        if (!groups.has(key)) groups.set(key, []);
+        groups.get(key).push(test);
+    });
+    return [...groups.entries()].map(([name, groupTests]) => ({ name, tests: groupTests }));
+}
+
+/**
+ * Calculates summary statistics for a list of scores.
+ * @param {number[]} scores - The scores.
+ * @returns {{count: number, mean: number, median: number, stdDev: number, best: number, worst: number}}
+ */
+function summarizeScores(scores) {
+    const count = scores.length;
+    if (count === 0) return { count: 0, mean: 0, median: 0, stdDev: 0, best: 0, worst: 0 };
+
+    const sorted = [...scores].sort((a, b) => a - b);
+    const mean = scores.reduce((sum, score) => sum + score, 0) / count;
+    const middle = Math.floor(count / 2);
+    const median = count % 2 === 0 ? (sorted[middle - 1] + sorted[middle]) / 2 : sorted[middle];
+    // Population standard deviation: the tests taken are the whole history, not a sample
+    const stdDev = Math.sqrt(scores.reduce((sum, score) => sum + (score - mean) ** 2, 0) / count);
+
+    return { count, mean, median, stdDev, best: sorted[count - 1], worst: sorted[0] };
+}
+
+/**
+ * Calculates the trailing average of each value and the ones before it.
+ * @param {number[]} values - The values, in order.
+ * @param {number} windowSize - How many values to average (fewer at the start).
+ * @returns {number[]}
+ */
+function calculateRollingAverage(values, windowSize) {
+    return values.map((_, i) => {
+        const windowValues = values.slice(Math.max(0, i - windowSize + 1), i + 1);
+        return windowValues.reduce((sum, value) => sum + value, 0) / windowValues.length;
+    });
+}
+
+/**
+ * Fits a least-squares straight line through some points.
+ * @param {Array<{x: number, y: number}>} points - At least one point.
+ * @returns {{slope: number, intercept: number}} - A flat line if all points share one x.
+ */
+function calculateLinearRegression(points) {
+    const n = points.length;
+    const meanX = points.reduce((sum, p) => sum + p.x, 0) / n;
+    const meanY = points.reduce((sum, p) => sum + p.y, 0) / n;
+    const covariance = points.reduce((sum, p) => sum + (p.x - meanX) * (p.y - meanY), 0);
+    const varianceX = points.reduce((sum, p) => sum + (p.x - meanX) ** 2, 0);
+
+    const slope = varianceX === 0 ? 0 : covariance / varianceX;
+    return { slope, intercept: meanY - slope * meanX };
+}
+
+// Scores entered on the dashboard or imported from CSV, in the same shape as API tests
+let manualTests = [];
+
+// Provider name used when a manual score doesn't say where it's from
+const DEFAULT_PROVIDER = 'Manual entries';
+
+// Column names accepted in an imported CSV, mapped to the field they fill
+const CSV_COLUMNS = {
+    provider: 'provider', series: 'provider',
+    subject: 'subject',
+    'test-number': 'testNumber', test_number: 'testNumber', 'test number': 'testNumber', test: 'testNumber',
+    date: 'date',
+    score: 'score',
+    max_marks: 'maxMarks', 'max-marks': 'maxMarks', 'max marks': 'maxMarks', max: 'maxMarks'
+};
+
+/**
+ * Loads the manually entered scores from IndexedDB.
+ * @returns {Promise<Array>}
+ */
+async function loadManualTests() {
+    try {
+        return await dbRequest('manualTests', 'readonly', store => store.getAll());
+    } catch (error) {
+        console.error('Error loading manual scores:', error);
+        return [];
+    }
+}
+
+/**
+ * Checks a raw score entry (from the form or a CSV row) and converts it to a test.
+ * @param {object} raw - { provider, subject, testNumber, date, score, maxMarks } as strings.
+ * @returns {{test: object|null, errors: string[]}} - The test if valid, otherwise what's wrong.
+ */
+function validateScoreEntry(raw) {
+    const errors = [];
+    const value = field => String(raw[field] ?? '').trim();
+
+    const subject = value('subject');
+    if (!subject) errors.push('Subject is required.');
+
+    const testNumber = Number(value('testNumber'));
+    if (!value('testNumber') || !Number.isInteger(testNumber) || testNumber < 1) {
+        errors.push('Test number must be a whole number of 1 or more.');
+    }
+
+    const date = value('date');
+    // Dates like 2025-02-30 parse (as 2 March), so check they come back unchanged
+    const parsedDate = new Date(date);
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(date) || Number.isNaN(parsedDate.getTime()) || parsedDate.toISOString().slice(0, 10) !== date) {
+        errors.push('Date must be a valid date in YYYY-MM-DD format.');
+    }
+
+    const score = Number(value('score'));
+    if (!value('score') || Number.isNaN(score)) errors.push('Score must be a number.');
+
+    let maxMarks = null;
+    if (value('maxMarks')) {
+        maxMarks = Number(value('maxMarks'));
+        if (Number.isNaN(maxMarks) || maxMarks <= 0) errors.push('Max marks must be a positive number.');
+        else if (!Number.isNaN(score) && score > maxMarks) errors.push('Score cannot be more than max marks.');
+    }
+
+    if (errors.length > 0) return { test: null, errors };
+    return {
+        test: {
+            manualId: createId(),
+            provider: value('provider') || DEFAULT_PROVIDER,
+            subject,
+            'test-number': testNumber,
+            date,
+            score,
+            max_marks: maxMarks
+        },
+        errors
+    };
+}
+
+/**
+ * Saves new manual tests, selects their providers and redraws the Performance card.
+ * @param {Array} tests - Valid tests from validateScoreEntry().
+ */
+async function addManualTests(tests) {
+    await Promise.all(tests.map(test => dbRequest('manualTests', 'readwrite', store => store.put(test))));
+    manualTests.push(...tests);
+
+    // Show the providers we just added scores for
+    tests.forEach(test => {
+        const seriesId = `manual:${test.provider}`;
+        if (!selectedSeriesIds.includes(seriesId)) selectedSeriesIds.push(seriesId);
+    });
+    savePreference('selectedMockSeries', selectedSeriesIds);
+    renderSeriesPicker();
+    await renderSeriesPerformance();
+}
+
+/**
+ * Deletes a manual test and redraws the Performance card.
+ * @param {string} manualId - The test's manualId.
+ */
+async function deleteManualTest(manualId) {
+    try {
+        await dbRequest('manualTests', 'readwrite', store => store.delete(manualId));
+    } catch (error) {
+        console.error('Error deleting manual score:', error);
+        return;
+    }
+    manualTests = manualTests.filter(test => test.manualId !== manualId);
+
+    // Drop the provider from the selection once it has no scores left
+    const remainingIds = getAllSeries().map(series => series.id);
+    selectedSeriesIds = selectedSeriesIds.filter(id => remainingIds.includes(id));
+    if (selectedSeriesIds.length === 0 && remainingIds.length > 0) selectedSeriesIds = [remainingIds[0]];
+    savePreference('selectedMockSeries', selectedSeriesIds);
+    renderSeriesPicker();
+    await renderSeriesPerformance();
+}
+
+/**
+ * Imports scores from CSV text. Valid rows are added; invalid rows are reported with their line number.
+ * @param {string} text - The CSV file's contents, with a header row.
+ * @returns {Promise<{imported: number, rowErrors: Array<{row: number, errors: string[]}>}>}
+ */
+async function importScoresCsv(text) {
+    const [header = [], ...rows] = parseCsv(text);
+    const fields = header.map(name => CSV_COLUMNS[name.trim().toLowerCase()]);
+
+    const missing = ['subject', 'testNumber', 'date', 'score'].filter(field => !fields.includes(field));
+    if (missing.length > 0) {
+        return { imported: 0, rowErrors: [{ row: 1, errors: [`Header is missing column(s): ${missing.join(', ')}.`] }] };
+    }
+
+    const tests = [];
+    const rowErrors = [];
+    rows.forEach((cells, i) => {
+        if (cells.every(cell => cell.trim() === '')) return; // Skip blank lines
+        const raw = {};
+        fields.forEach((field, column) => { if (field) raw[field] = cells[column]; });
+        const { test, errors } = validateScoreEntry(raw);
+        if (test) tests.push(test);
+        else rowErrors.push({ row: i + 2, errors }); // +2: rows are 1-based and the header is row 1
+    });
+
+    if (tests.length > 0) await addManualTests(tests);
+    return { imported: tests.length, rowErrors };
+}
+
+/**
+ * Collects every test from every series (not just the selected ones) for export.
+ * @returns {Promise<Array>} - Flat rows with the series name attached.
+ */
+async function collectScoreHistory() {
+    const seriesTests = await Promise.all(getAllSeries().map(async series => ({ series, tests: await getSeriesTests(series) })));
+    return seriesTests.flatMap(({ series, tests }) => tests.map(test => ({
+        series: getSeriesName(series),
+        subject: test.subject,
+        test_number: test['test-number'],
+        date: test.date,
+        score: test.score,
+        max_marks: test.max_marks ?? ''
+    })));
+}
+
+/**
+ * Wires up the add-score form, CSV import and CSV/JSON export in the Performance card.
+ */
+function setupScoreEntry() {
+    const toggleButton = document.getElementById('btn-manage-scores');
+    const panel = document.getElementById('score-entry-panel');
+    if (!toggleButton || !panel) return;
+
+    const form = document.getElementById('score-entry-form');
+    const importInput = document.getElementById('score-import-input');
+    const messages = document.getElementById('score-entry-messages');
+    const providerOptions = document.getElementById('provider-options');
+
+    const showMessages = (summary, rowErrors = [], isError = false) => {
+        const errorItems = rowErrors
+            .map(({ row, errors }) => `<li>${row ? `Row ${row}: ` : ''}${errors.map(escapeHtml).join(' ')}</li>`)
+            .join('');
+        messages.innerHTML = `
+            <p class="${isError ? 'score-entry-error' : 'score-entry-success'}">${escapeHtml(summary)}</p>
+            ${errorItems ? `<ul class="score-entry-row-errors">${errorItems}</ul>` : ''}
+        `;
+    };
+
+    toggleButton.addEventListener('click', () => {
+        panel.hidden = !panel.hidden;
+        // Suggest the providers we already know about
+        providerOptions.innerHTML = getAllSeries().map(series => `<option value="${escapeHtml(getSeriesName(series))}">`).join('');
+    });
+
+    form.addEventListener('submit', async (event) => {
+        event.preventDefault();
+        const { test, errors } = validateScoreEntry(Object.fromEntries(new FormData(form)));
+        if (!test) {
+            showMessages('Could not add this score:', [{ row: null, errors }], true);
+            return;
+        }
+        try {
+            await addManualTests([test]);
+            form.reset();
+            showMessages(`Added ${test.subject} (Test #${test['test-number']}) to ${test.provider}.`);
+        } catch (error) {
+            showMessages('Could not save this score. Please try again.', [], true);
+            console.error('Error saving manual score:', error);
+        }
+    });
+
+    importInput.addEventListener('change', async () => {
+        const file = importInput.files[0];
+        if (!file) return;
+        try {
+            const { imported, rowErrors } = await importScoresCsv(await file.text());
+            const summary = `Imported ${imported} score${imported === 1 ? '' : 's'} from ${file.name}.`
+                + (rowErrors.length > 0 ? ` ${rowErrors.length} row(s) had errors and were skipped:` : '');
+            showMessages(summary, rowErrors, rowErrors.length > 0);
+        } catch (error) {
+            showMessages(`Could not import ${file.name}.`, [], true);
+            console.error('Error importing scores:', error);
+        }
+        importInput.value = ''; // Allow re-importing the same file after fixing it
+    });
+
+    document.getElementById('btn-export-csv').addEventListener('click', async () => {
+        try {
+            const history = await collectScoreHistory();
+            const columns = ['series', 'subject', 'test_number', 'date', 'score', 'max_marks'];
+            downloadFile('mock-scores.csv', toCsv([columns, ...history.map(row => columns.map(column => row[column]))]), 'text/csv');
+        } catch (error) {
+            showMessages('Could not export scores.', [], true);
+            console.error('Error exporting scores:', error);
+        }
+    });
+
+    document.getElementById('btn-export-json').addEventListener('click', async () => {
+        try {
+            downloadFile('mock-scores.json', JSON.stringify(await collectScoreHistory(), null, 2), 'application/json');
+        } catch (error) {
+            showMessages('Could not export scores.', [], true);
+            console.error('Error exporting scores:', error);
+        }
+    });
+}
+
+/**
+ * Parses CSV text into rows of cells. Handles quoted cells, escaped quotes ("")
+ * and commas or line breaks inside quotes.
+ * @param {string} text - The CSV text.
+ * @returns {string[][]}
+ */
+function parseCsv(text) {
+    const rows = [];
+    let row = [];
+    let cell = '';
+    let inQuotes = false;
+
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+        if (inQuotes) {
+            if (char === '"' && text[i + 1] === '"') {
+                cell += '"';
+                i++;
+            } else if (char === '"') {
+                inQuotes = false;
+            } else {
+                cell += char;
+            }
+        } else if (char === '"') {
+            inQuotes = true;
+        } else if (char === ',') {
+            row.push(cell);
+            cell = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && text[i + 1] === '\n') i++;
+            row.push(cell);
+            rows.push(row);
+            row = [];
+            cell = '';
+        } else {
+            cell += char;
+        }
+    }
+    // The last line may not end with a line break
+    if (cell !== '' || row.length > 0) {
+        row.push(cell);
+        rows.push(row);
+    }
+    return rows;
+}
+
+/**
+ * Turns rows of values into CSV text, quoting cells where needed.
+ * @param {Array<Array>} rows - The rows, header first.
+ * @returns {string}
+ */
+function toCsv(rows) {
+    const quote = value => {
+        const text = String(value ?? '');
+        return /[",\r\n]/.test(text) ? `"${text.replaceAll('"', '""')}"` : text;
+    };
+    return rows.map(row => row.map(quote).join(',')).join('\r\n');
+}
+
+/**
+ * Saves some text as a file through the browser's download mechanism.
+ * @param {string} filename - The suggested file name.
+ * @param {string} content - The file contents.
+ * @param {string} type - The MIME type.
+ */
+function downloadFile(filename, content, type) {
+    const url = URL.createObjectURL(new Blob([content], { type }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    URL.revokeObjectURL(url);
+}
+
+/**
+ * Creates a reasonably unique id for locally stored records.
+ * @returns {string}
+ */
+function createId() {
+    return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+}
+
+/**
+ * Works out where a preference is kept. Most belong to the signed-in profile; the few needed
+ * before anyone signs in are shared.
+ * @param {string} key - The preference name.
+ * @returns {string} - The localStorage key.
+ */
+function getPreferenceStorageKey(key) {
+    if (SHARED_PREFERENCES.includes(key)) return `athena.${key}`;
+    const profile = getActiveProfile();
+    return profile ? `athena.user:${profile.id}.${key}` : `athena.${key}`;
+}
+
+/**
+ * Reads a saved preference from localStorage.
+ * @param {string} key - The preference name.
+ * @param {*} fallback - Returned when nothing is saved (or it can't be read).
+ * @returns {*} - The parsed value.
+ */
+function loadPreference(key, fallback) {
+    try {
+        const stored = localStorage.getItem(getPreferenceStorageKey(key));
+        return stored === null ? fallback : JSON.parse(stored);
+    } catch (error) {
+        console.error(`Error reading preference ${key}:`, error);
+        return fallback;
+    }
+}
+
+/**
+ * Saves a preference to localStorage so it survives reloads.
+ * @param {string} key - The preference name.
+ * @param {*} value - Any JSON-serialisable value.
+ */
+function savePreference(key, value) {
+    try {
+        localStorage.setItem(getPreferenceStorageKey(key), JSON.stringify(value));
+    } catch (error) {
+        console.error(`Error saving preference ${key}:`, error);
+    }
+}
+
+/**
+ * Displays the main countdown blocks. Now accepts exam data as a parameter.
+ * @param {Array} futureExams - The pre-fetched and processed array of future exams.
+ */
+function displayExamTimers(futureExams) {
+    const upcomingContainer = document.getElementById('upcoming-exam-container');
+    const othersContainer = document.getElementById('other-exams-container');
+
+    // GUARD CLAUSE: If these elements don't exist on the page, exit the function.
+    if (!upcomingContainer || !othersContainer) {
+        return;
+    }
+    
+    try {
+        if (!futureExams || futureExams.length === 0) {
+            upcomingContainer.innerHTML = '<p>No upcoming exams.</p>';
+            return;
+        }
+
+        // Clear any previous content
+        upcomingContainer.innerHTML = '';
+        othersContainer.innerHTML = '';
+
+        // The target exam gets the big block; the rest follow in date order
+        const upcomingExam = getTargetExam(futureExams);
+        const otherExams = futureExams.filter(exam => exam !== upcomingExam);
+
+        const upcomingBlock = createExamBlock(upcomingExam, true);
+        upcomingContainer.appendChild(upcomingBlock);
+
+        otherExams.forEach(exam => {
+            const examBlock = createExamBlock(exam, false);
+            othersContainer.appendChild(examBlock);
+        });
+
+    } catch (error) {
+        upcomingContainer.innerHTML = '<p style="color: red;">Could not load exam dates.</p>';
+        console.error('Error displaying exam timers:', error);
+    }
+}
+
+// Note collections that get their own explorer page and dashboard button, in button order.
+// Adding a section is a matter of adding an entry here: collection is the /notes/{collection} API path.
+const SECTIONS = [
+    { key: 'csp', title: 'CSP', collection: 'csp' },
+    { key: 'editorials', title: 'Editorials', collection: 'editorials', hasPlanner: true, hasRevision: true },
+    { key: 'general-studies', title: 'General Studies', collection: 'general-studies' },
+    { key: 'sociology', title: 'Sociology', collection: 'sociology' },
+    { key: 'answer-writing', title: 'Answer Writing', collection: 'answer-writing', hasPractice: true }
+];
+
+/**
+ * Finds the section named by the page's ?section= parameter, defaulting to editorials.
+ * @returns {object} - An entry from SECTIONS.
+ */
+function getCurrentSection() {
+    const key = new URLSearchParams(window.location.search).get('section') || 'editorials';
+    return SECTIONS.find(section => section.key === key) || SECTIONS.find(section => section.key === 'editorials');
+}
+
+/**
+ * Builds the link to a section's explorer page.
+ * @param {object} section - An entry from SECTIONS.
+ * @returns {string}
+ */
+function getSectionUrl(section) {
+    return section.key === 'editorials' ? 'editorials.html' : `editorials.html?section=${encodeURIComponent(section.key)}`;
+}
+
+/**
+ * Splits an editorial's date into the explorer's year / month / day keys.
+ * @param {object} editorial - The editorial object from the API.
+ * @returns {{year: string, month: string, day: string}}
+ */
+function getExplorerDateParts(editorial) {
+    const date = new Date(editorial.date);
+    return {
+        year: String(date.getFullYear()),
+        month: date.toLocaleString('en-GB', { month: 'long' }),
+        day: String(date.getDate())
+    };
+}
+
+/**
+ * Builds the explorer's hash route, e.g. #/2025/August/14/<docId>, or #/subject/Polity/<docId>
+ * when the explorer is grouped by front matter.
+ * @param {{grouping: ?string, group: ?string, year: ?string, month: ?string, day: ?string}} position - Where the explorer is; later parts need the earlier ones.
+ * @param {string} [docId] - The editorial open in the modal; needs a full date or a group.
+ * @returns {string}
+ */
+function buildExplorerRoute({ grouping, group, year, month, day }, docId) {
+    const parts = [];
+    if (grouping && grouping !== 'date') {
+        parts.push(grouping);
+        if (group) {
+            parts.push(group);
+            if (docId) parts.push(docId);
+        }
+    } else if (year) {
+        parts.push(year);
+        if (month) {
+            parts.push(month);
+            if (day) {
+                parts.push(day);
+                if (docId) parts.push(docId);
+            }
+        }
+    }
+    return `#/${parts.map(encodeURIComponent).join('/')}`;
+}
+
+/**
+ * Reads an explorer hash route back into its parts. Missing parts are null.
+ * @param {string} hash - location.hash.
+ * @returns {{grouping: string, group: ?string, year: ?string, month: ?string, day: ?string, docId: ?string}}
+ */
+function parseExplorerRoute(hash) {
+    const parts = hash
+        .replace(/^#\/?/, '')
+        .split('/')
+        .filter(Boolean)
+        .map(decodeURIComponent);
+
+    if (NOTE_GROUPINGS[parts[0]]) {
+        const [grouping, group = null, docId = null] = parts;
+        return { grouping, group, year: null, month: null, day: null, docId };
+    }
+    const [year = null, month = null, day = null, docId = null] = parts;
+    return { grouping: 'date', group: null, year, month, day, docId };
+}
+
+/**
+ * Renders a dashboard button for every section, then fills in how much of each has been read.
+ */
+function displaySectionLinks() {
+    const actionsGrid = document.getElementById('actions-grid');
+    if (!actionsGrid) return;
+
+    actionsGrid.innerHTML = '';
+    SECTIONS.forEach(section => {
+        const link = document.createElement('a');
+        link.href = getSectionUrl(section);
+        link.className = 'action-button-link';
+        link.innerHTML = `
+            <button class="action-button">
+                ${section.title}
+                <span class="action-progress" data-section="${section.key}"></span>
+            </button>
+        `;
+        actionsGrid.appendChild(link);
+    });
+
+    // Each section's progress appears as soon as its notes arrive
+    const showProgress = section => async () => {
+        const progressElement = actionsGrid.querySelector(`.action-progress[data-section="${section.key}"]`);
+        try {
+            const notes = await dataSource.getNotes(section.collection);
+            const readCount = notes.filter(note => note.is_read).length;
+            progressElement.textContent = `${readCount}/${notes.length} read`;
+        } catch (error) {
+            console.error(`Error fetching ${section.collection}:`, error);
+        }
+    };
+    SECTIONS.forEach(section => showProgress(section)());
+    document.addEventListener('readstatuschange', showProgress(SECTIONS.find(section => section.collection === 'editorials')));
+}
+
+/**
+ * Initializes the entire file explorer functionality for the explorer page.
+ * The page shows whichever section the ?section= parameter names (editorials by default).
+ */
+async function initializeFileExplorer(futureExams) {
+    const explorerContainer = document.getElementById('file-explorer');
+    if (!explorerContainer) return; // Only run on the explorer page
+
+    const section = getCurrentSection();
+    document.title = `${section.title} - Study Dashboard`;
+
+    const breadcrumb = document.getElementById('breadcrumb');
+    const list = document.getElementById('explorer-list');
+
+    // Clear the list and set a loading message
+    list.innerHTML = `<li class="loading-message">Loading ${section.title}...</li>`;
+
+    let editorialsByDate = {}; // This will hold our organized data
+    let allEditorials = [];
+    let currentState = { grouping: 'date', level: 'years', year: null, month: null, day: null, group: null };
+
+    // Subject, source and tags for every editorial, built the first time the explorer is grouped by them
+    let noteMetadata = null;
+    let metadataLoading = null;
+    // What's indexed so far, for the Related panel; it fills in as editorials are downloaded
+    let indexedMetadata = null;
+    const groupingSelect = document.getElementById('explorer-grouping');
+
+    // Read-status bookkeeping: ids being saved, failed saves (id -> status we tried to set), and the running bulk update
+    const savingIds = new Set();
+    const readStatusErrors = new Map();
+    let bulkJob = null;
+
+    // The editorial showing in the modal with its front matter, for attaching highlights
+    let openedEditorial = null;
+
+    // The search results or My Highlights while one of them fills the content area: { name, onLeave }.
+    // They aren't part of the route, so editorials opened from them show over them instead.
+    let contentView = null;
+
+    // 1. Fetch and process the data into a nested structure
+    async function fetchData() {
+        const editorials = await dataSource.getNotes(section.collection);
+        allEditorials = editorials;
+
+        // Group editorials by year, then month, then day
+        editorials.forEach(e => {
+            const { year, month, day } = getExplorerDateParts(e);
+
+            if (!editorialsByDate[year]) editorialsByDate[year] = {};
+            if (!editorialsByDate[year][month]) editorialsByDate[year][month] = {};
+            if (!editorialsByDate[year][month][day]) editorialsByDate[year][month][day] = [];
+            
+            editorialsByDate[year][month][day].push(e);
+        });
+    }
+
+    // 2. Functions to render the different levels of the explorer
+    function render() {
+        list.innerHTML = ''; // Clear the list
+        currentState.day = null; // Navigating always clears the day selection
+        currentState.group = null;
+        if (bulkJob && !bulkJob.isRunning) bulkJob = null;
+        if (groupingSelect) groupingSelect.value = currentState.grouping;
+
+        // Render the correct level
+        if (currentState.level === 'years') {
+			breadcrumb.innerHTML = `<span class="crumb-active">🏠 ${section.title}</span>`;
             renderHomeStats(futureExams, allEditorials);
             Object.keys(editorialsByDate).sort((a, b) => b - a).forEach(year => { // Sort years descending
                 const item = document.createElement('li');
@@ -386,44 +1870,138 @@ async function initializeFileExplorer(futureExams) {
                 item.dataset.day = day;
                 list.appendChild(item);
             });
+		} else if (currentState.level === 'groups') {
+			breadcrumb.innerHTML = `
+				<span class="crumb" data-level="years">🏠</span> 
+				> <span class="crumb-active">By ${NOTE_GROUPINGS[currentState.grouping].label}</span>`;
+			contentArea.innerHTML = '';
+			renderGroupItems();
 		}
+		list.querySelectorAll('.explorer-item').forEach(item => item.tabIndex = 0);
+		renderBulkActions();
     }
 
-    // 3. Event listener to handle clicks
-	list.addEventListener('click', (event) => {
+    /**
+     * Fills the list with the groups for the active grouping, each with its size and read ratio.
+     * Shows progress instead while the metadata index is being built.
+     */
+    function renderGroupItems() {
+        list.innerHTML = '';
+        if (!noteMetadata) {
+            list.innerHTML = '<li class="loading-message">Reading front matter...</li>';
+            return;
+        }
+
+        getGroups(currentState.grouping).forEach(({ name, editorials }) => {
+            const readCount = editorials.filter(e => e.is_read).length;
+            const percent = Math.round((readCount / editorials.length) * 100);
+            const item = document.createElement('li');
+            item.className = 'explorer-item explorer-group';
+            item.classList.toggle('selected', name === currentState.group);
+            item.dataset.group = name;
+            item.title = `${readCount} read, ${editorials.length - readCount} unread`;
+            item.innerHTML = `
+                <span class="explorer-group-name">${escapeHtml(name)}</span>
+                <span class="explorer-group-count">${readCount}/${editorials.length}</span>
+                <span class="explorer-group-bar"><span style="width: ${percent}%"></span></span>
+            `;
+            item.tabIndex = 0;
+            list.appendChild(item);
+        });
+
+        const unreadableCount = allEditorials.filter(e => !noteMetadata.has(e.id)).length;
+        if (unreadableCount > 0) {
+            list.insertAdjacentHTML('beforeend', `<li class="loading-message">${unreadableCount} could not be read.</li>`);
+        }
+    }
+
+    /**
+     * Groups the editorials by a front matter field.
+     * @param {string} grouping - A key of NOTE_GROUPINGS.
+     * @returns {Array<{name: string, editorials: Array}>|null} - null until the metadata index is ready.
+     */
+    function getGroups(grouping) {
+        return noteMetadata ? groupNotesByMetadata(allEditorials, noteMetadata, grouping) : null;
+    }
+
+    /**
+     * Starts building the metadata index, showing progress in the list, and applies the
+     * route again once it's ready.
+     * @returns {Promise<void>} - Resolves once the index is ready.
+     */
+    function ensureNoteMetadata() {
+        if (metadataLoading) return metadataLoading;
+        metadataLoading = loadNoteMetadata(allEditorials, section.collection, (done, total) => {
+            const loading = list.querySelector('.loading-message');
+            if (loading && currentState.level === 'groups') loading.textContent = `Reading front matter... ${done}/${total}`;
+        }).then(metadata => {
+            noteMetadata = metadata;
+            if (currentState.grouping !== 'date') applyRoute(true);
+        });
+        return metadataLoading;
+    }
+
+    /**
+     * Gets the metadata index as it stands: the full one if it's been built,
+     * otherwise the entries saved so far, without downloading anything.
+     * @returns {Promise<Map<string, object>>}
+     */
+    function getIndexedMetadata() {
+        if (noteMetadata) return Promise.resolve(noteMetadata);
+        indexedMetadata ??= loadStoredNoteMetadata();
+        return indexedMetadata;
+    }
+
+    /**
+     * Adds a downloaded editorial's front matter and keywords to the index, wherever it's loaded.
+     * @param {object} editorial - The editorial.
+     * @param {object} data - Its front matter.
+     * @param {string} content - Its markdown body.
+     */
+    function indexDownloadedEditorial(editorial, data, content) {
+        const entry = saveNoteMetadata(editorial.id, data, content);
+        noteMetadata?.set(editorial.id, entry);
+        indexedMetadata?.then(metadata => metadata.set(editorial.id, entry));
+    }
+
+    /**
+     * Finds the editorials for the selected day or group.
+     * @returns {Array} - Empty when nothing is selected.
+     */
+    function getSelectedEditorials() {
+        const { year, month, day, group, grouping } = currentState;
+        if (day) return editorialsByDate[year][month][day] || [];
+        if (group) return getGroups(grouping)?.find(({ name }) => name === group)?.editorials || [];
+        return [];
+    }
+
+    // 3. Event listener to handle clicks
+	list.addEventListener('click', (event) => {
 		const target = event.target.closest('.explorer-item');
 		if (!target) return;
 	
-		const { action, year, month, day } = target.dataset;
+		const { action, year, month, day, group } = target.dataset;
 	
+		// Navigation goes through the URL, so the hashchange handler does the rendering
 		if (action === 'back') {
 			if (currentState.level === 'dates') {
-				currentState.level = 'months';
-				currentState.month = null;
+				navigateTo({ year: currentState.year });
 			} else if (currentState.level === 'months') {
-				currentState.level = 'years';
-				currentState.year = null;
+				navigateTo({});
 			}
-			render(); // Re-render the list after navigating
 		} else if (year) {
-			currentState.level = 'months';
-			currentState.year = year;
-			render(); // Re-render the list after navigating
+			navigateTo({ year });
 		} else if (month) {
-			currentState.level = 'dates';
-			currentState.month = month;
-			render(); // Re-render the list after navigating
+			navigateTo({ year: currentState.year, month });
 		} else if (day) {
-			// This is the selection logic
-			document.querySelectorAll('.explorer-item.selected').forEach(el => el.classList.remove('selected'));
-			target.classList.add('selected');
-			
-			// Render the editorials on the right
-			renderEditorialsForDay(day);
-			// DO NOT re-render the list here
+			navigateTo({ year: currentState.year, month: currentState.month, day });
+		} else if (group) {
+			navigateTo({ grouping: currentState.grouping, group });
 		}
 	});
 
+    groupingSelect?.addEventListener('change', () => navigateTo({ grouping: groupingSelect.value }));
+
     breadcrumb.addEventListener('click', (event) => {
 			const target = event.target.closest('.crumb');
 			if (!target) return;
@@ -431,28 +2009,179 @@ async function initializeFileExplorer(futureExams) {
 			const { level } = target.dataset;
 		
 			if (level === 'years') {
-				currentState = { level: 'years', year: null, month: null };
-                renderHomeStats(futureExams, allEditorials);
+				navigateTo({});
 			} else if (level === 'months') {
-				currentState.level = 'months';
-				currentState.month = null;
+				navigateTo({ year: currentState.year });
 			}
-			
-			// After changing state, re-render the explorer list and clear the content area
-			render();
 		});
 
+    // Set when the explorer is driven from the keyboard, so focus follows the redrawn list
+    let isKeyboardNavigation = false;
+
+    list.addEventListener('keydown', (event) => {
+        const item = event.target.closest('.explorer-item');
+        if (!item) return;
+        const items = [...list.querySelectorAll('.explorer-item')];
+        const index = items.indexOf(item);
+
+        if (event.key === 'ArrowDown' || event.key === 'ArrowUp') {
+            event.preventDefault();
+            items[Math.min(Math.max(index + (event.key === 'ArrowDown' ? 1 : -1), 0), items.length - 1)].focus();
+        } else if (event.key === 'Home' || event.key === 'End') {
+            event.preventDefault();
+            items[event.key === 'Home' ? 0 : items.length - 1].focus();
+        } else if (event.key === 'Enter') {
+            event.preventDefault();
+            isKeyboardNavigation = true;
+            item.click();
+        }
+    });
+
+    // Backspace goes up a breadcrumb level; J and K step through editorials in the modal
+    document.addEventListener('keydown', (event) => {
+        if (isTypingTarget(event.target) || event.ctrlKey || event.metaKey || event.altKey) return;
+        if (document.querySelector('#settings-modal.visible, #practice-modal.visible, #booklet-modal.visible, #login-modal.visible, #command-palette.visible')) return;
+
+        if (modal.classList.contains('visible')) {
+            const key = event.key.toLowerCase();
+            if ((key === 'j' || key === 'k') && openedEditorial) {
+                const adjacent = getAdjacentEditorial(openedEditorial.editorial, key === 'j' ? 1 : -1);
+                if (adjacent) openEditorial(adjacent, true);
+            }
+        } else if (event.key === 'Backspace' && currentState.level !== 'years') {
+            event.preventDefault();
+            isKeyboardNavigation = true;
+            navigateTo(currentState.level === 'dates' ? { year: currentState.year } : {});
+        }
+    });
+
+    /**
+     * Moves the explorer to a new position by pushing its route onto the browser history.
+     * @param {{grouping: ?string, group: ?string, year: ?string, month: ?string, day: ?string}} position
+     */
+    function navigateTo(position) {
+        const route = buildExplorerRoute(position);
+        if (location.hash === route) {
+            applyRoute();
+        } else {
+            location.hash = route;
+        }
+    }
+
+    /**
+     * Shows a view in the content area in place of the selected day or group, keeping the
+     * explorer list where it is and the address bar on that level.
+     * @param {string} name - 'search' or 'highlights'.
+     * @param {function} [onLeave] - Resets the view when the explorer navigates away from it.
+     */
+    function enterContentView(name, onLeave = () => {}) {
+        if (contentView?.name !== name) contentView?.onLeave();
+        contentView = { name, onLeave };
+        currentState.day = null;
+        currentState.group = null;
+        list.querySelectorAll('.explorer-item.selected').forEach(el => el.classList.remove('selected'));
+        renderBulkActions();
+        history.replaceState(null, '', buildExplorerRoute(currentState));
+    }
+
+    /**
+     * Brings the explorer and the modal in line with the URL. Parts of the route that
+     * don't exist in the data are dropped, so stale links land on the nearest level.
+     * @param {boolean} [isInitial=false] - True on page load, when nothing has been rendered yet.
+     */
+    function applyRoute(isInitial = false) {
+        const route = parseExplorerRoute(location.hash);
+
+        // 0. Over the search results or My Highlights, an editorial's route only opens the modal,
+        // and coming back to the level they were shown on closes it and leaves them in place
+        if (contentView && !isInitial) {
+            const viewEditorial = route.docId ? allEditorials.find(e => e.id === route.docId) : null;
+            if (viewEditorial) {
+                if (openedEditorial?.editorial !== viewEditorial) showEditorial(viewEditorial);
+                return;
+            }
+            if (buildExplorerRoute(route) === buildExplorerRoute(currentState)) {
+                if (modal.classList.contains('visible')) hideEditorial();
+                return;
+            }
+            const { onLeave } = contentView;
+            contentView = null;
+            onLeave();
+        }
+        const { grouping } = route;
+        const year = route.year && editorialsByDate[route.year] ? route.year : null;
+        const month = year && route.month && editorialsByDate[year][route.month] ? route.month : null;
+        const day = month && route.day && editorialsByDate[year][month][route.day] ? route.day : null;
+        const group = route.group && getGroups(grouping)?.some(({ name }) => name === route.group) ? route.group : null;
+        const level = grouping !== 'date' ? 'groups' : month ? 'dates' : year ? 'months' : 'years';
+
+        // 1. The explorer list, redrawn only when the level changes or a day or group is deselected
+        const isListChanged = grouping !== currentState.grouping || level !== currentState.level
+            || year !== currentState.year || month !== currentState.month;
+        if (isInitial || isListChanged || (!day && currentState.day) || (!group && currentState.group)) {
+            currentState = { grouping, level, year, month, day: null, group: null };
+            render();
+            // Keep keyboard users in the list they were moving through
+            if (isKeyboardNavigation) list.querySelector('.explorer-item')?.focus();
+        }
+        isKeyboardNavigation = false;
+
+        // The groups aren't known until the metadata index is built; this runs again once it is
+        if (grouping !== 'date' && !noteMetadata) {
+            ensureNoteMetadata();
+            return;
+        }
+
+        // 2. The selected day or group
+        if ((day && day !== currentState.day) || (group && group !== currentState.group)) {
+            list.querySelectorAll('.explorer-item.selected').forEach(el => el.classList.remove('selected'));
+            [...list.querySelectorAll('.explorer-item')]
+                .find(item => (day ? item.dataset.day === day : item.dataset.group === group))
+                ?.classList.add('selected');
+            currentState.day = day;
+            currentState.group = group;
+            renderSelectedEditorials();
+            renderBulkActions();
+        }
+
+        // 3. The modal
+        const editorial = (day || group) && route.docId
+            ? getSelectedEditorials().find(e => e.id === route.docId)
+            : null;
+        if (editorial) {
+            if (openedEditorial?.editorial !== editorial) showEditorial(editorial);
+        } else if (modal.classList.contains('visible')) {
+            hideEditorial();
+        }
+
+        // Show the route that was actually applied, so a stale link doesn't stay in the address bar
+        const appliedRoute = buildExplorerRoute({ grouping, group, year, month, day }, editorial?.id);
+        if (location.hash && location.hash !== appliedRoute) history.replaceState(null, '', appliedRoute);
+    }
+
     // Initial setup
-    await fetchData();
-    render(); // Initial render of the years
+    try {
+        await fetchData();
+    } catch (error) {
+        list.innerHTML = `<li class="loading-message" style="color: red;">Could not load ${section.title}.</li>`;
+        console.error(`Error fetching ${section.collection}:`, error);
+        // Practice still works with a question of your own
+        if (section.hasPractice) setupAnswerPractice([]);
+        return;
+    }
+    highlights = await loadHighlights();
+    if (section.hasRevision) seedRevisionSchedule(allEditorials);
 
-    // Add this new function inside initializeFileExplorer
-    function renderEditorialsForDay(day) {
+    if (section.hasPractice) {
+        setupAnswerPractice(allEditorials);
+    }
+
+    // Lists the editorials for the selected day or group in the content area
+    function renderSelectedEditorials() {
         const contentArea = document.getElementById('content-area');
         contentArea.innerHTML = ''; // Clear previous content
 
-        const editorials = editorialsByDate[currentState.year][currentState.month][day];
-        if (!editorials) return;
+        const editorials = getSelectedEditorials();
 
         editorials.forEach(e => {
             const item = document.createElement('div');
@@ -461,20 +2190,34 @@ async function initializeFileExplorer(futureExams) {
             const statusClass = e.is_read ? 'status-read' : 'status-unread';
             const statusText = e.is_read ? 'Read' : 'Unread';
             const toggleButtonText = e.is_read ? 'Mark as Unread' : 'Mark as Read';
+            const isSaving = savingIds.has(e.id);
+
+            // Show an inline error with a retry button if the last save was rejected
+            let errorHTML = '';
+            if (readStatusErrors.has(e.id)) {
+                const failedStatus = readStatusErrors.get(e.id) ? 'read' : 'unread';
+                errorHTML = `
+					<p class="inline-error">
+						Couldn't mark as ${failedStatus}.
+						<button class="btn-retry-read" data-doc-id="${e.id}">Retry</button>
+					</p>`;
+            }
 
             // Add data-doc-id to buttons
 			item.innerHTML = `
 				<div class="editorial-info">
-					<p class="editorial-title">${e.original_filename.replaceAll('_', ' ').replace('.md', '')}</p>
+					<p class="editorial-title">${escapeHtml(formatEditorialTitle(e))}</p>
 					<div class="editorial-meta">
 						<span>${new Date(e.date).toLocaleDateString('en-GB', { day: 'numeric', month: 'long', year: 'numeric' })}</span>
 						<span class="status-dot ${statusClass}"></span>
 						<span>${statusText}</span>
+						${isSaving ? '<span class="saving-indicator">Saving...</span>' : ''}
 					</div>
+					${errorHTML}
 				</div>
 				<div class="editorial-actions">
 					<button class="btn-view" data-doc-id="${e.id}" data-athena-id="${e.athena_id}">View</button>
-					<button class="btn-toggle-read" data-doc-id="${e.id}" data-athena-id="${e.athena_id}">${toggleButtonText}</button>
+					<button class="btn-toggle-read" data-doc-id="${e.id}" data-athena-id="${e.athena_id}" ${isSaving ? 'disabled' : ''}>${toggleButtonText}</button>
 				</div>
 			`;
             contentArea.appendChild(item);
@@ -487,8 +2230,8 @@ async function initializeFileExplorer(futureExams) {
 		contentArea.innerHTML = ''; // Clear previous content
 	
 		// 1. Calculate Total Days
-		const prelimsExam = futureExams.find(e => e.id === 'pWySIJBI4yDC6v2YzLlD');
-		const totalDaysAvailable = prelimsExam ? prelimsExam.daysRemaining : 0;
+		const targetExam = getTargetExam(futureExams);
+		const totalDaysAvailable = targetExam ? targetExam.daysRemaining : 0;
 	
 		// 2. Calculate Editorial Counts
 		const totalEditorials = allEditorials.length;
@@ -497,17 +2240,29 @@ async function initializeFileExplorer(futureExams) {
 	
 		// 3. Calculate Per Day Metric
 		const perDayMetric = totalDaysAvailable > 0 ? (unreadCount / totalDaysAvailable).toFixed(1) : 0;
+
+		// The study plan only covers sections that have one
+		let planCard = '';
+		if (section.hasPlanner) {
+			const plan = buildStudyPlan(allEditorials, targetExam);
+			const todayDone = plan.today.editorials.filter(e => e.is_read).length;
+			planCard = `
+				<div class="stat-card">
+					<p class="stat-value">${todayDone}/${plan.today.editorials.length}</p>
+					<p class="stat-label">${plan.today.isRestDay ? 'Rest Day' : "Today's Plan"}</p>
+				</div>`;
+		}
 	
 		// 4. Create the HTML and render it
 		const statsHTML = `
 			<div class="stats-grid">
 				<div class="stat-card">
 					<p class="stat-value">${totalDaysAvailable}</p>
-					<p class="stat-label">Days to CSP</p>
+					<p class="stat-label">Days to ${targetExam ? escapeHtml(targetExam.name) : 'Exam'}</p>
 				</div>
 				<div class="stat-card">
 					<p class="stat-value">${totalEditorials}</p>
-					<p class="stat-label">Total Editorials</p>
+					<p class="stat-label">Total ${section.title}</p>
 				</div>
 				<div class="stat-card">
 					<p class="stat-value" style="color: #42b72a;">${readCount}</p>
@@ -521,9 +2276,29 @@ async function initializeFileExplorer(futureExams) {
 					<p class="stat-value">${perDayMetric}</p>
 					<p class="stat-label">Per Day Metric</p>
 				</div>
+				${planCard}
+				${section.hasRevision ? `
+				<div class="stat-card">
+					<p class="stat-value revision-due-count">…</p>
+					<p class="stat-label">Due for Revision</p>
+				</div>` : ''}
 			</div>
 		`;
 		contentArea.innerHTML = statsHTML;
+
+		if (section.hasRevision) {
+			const revisionContainer = document.createElement('div');
+			revisionContainer.className = 'revision-queue';
+			revisionContainer.innerHTML = '<h4 class="activity-title">Due for Revision</h4><div class="revision-queue-list"></div>';
+			contentArea.appendChild(revisionContainer);
+			refreshRevisionQueue();
+		}
+
+		// Streaks, heatmap and weekly chart come from the read history, which loads separately
+		const activityContainer = document.createElement('div');
+		activityContainer.className = 'reading-activity';
+		contentArea.appendChild(activityContainer);
+		renderReadingActivity(activityContainer, allEditorials.map(e => e.athena_id));
 	}
 
 	const contentArea = document.getElementById('content-area');
@@ -531,94 +2306,4903 @@ async function initializeFileExplorer(futureExams) {
 	const modalTitle = document.getElementById('modal-title');
 	const modalMeta = document.getElementById('modal-meta');
 	const modalBody = document.getElementById('modal-body');
+	const modalToc = document.getElementById('modal-toc');
+	const highlightToolbar = document.getElementById('highlight-toolbar');
+	const revisionRating = document.getElementById('revision-rating');
+	const modalNav = document.getElementById('modal-nav');
+	const modalRelated = document.getElementById('modal-related');
+
+	// Keep the stats in step with the target exam and planner chosen in settings
+	document.addEventListener('examschange', (event) => {
+		futureExams = event.detail;
+		if (contentArea.querySelector('.stats-grid')) renderHomeStats(futureExams, allEditorials);
+	});
+	document.addEventListener('plannerchange', () => {
+		if (contentArea.querySelector('.stats-grid')) renderHomeStats(futureExams, allEditorials);
+	});
+	document.addEventListener('revisionchange', refreshRevisionQueue);
+
+	// A queued read-status change the server rejected: put the editorial back, with a Retry
+	document.addEventListener('mutationdropped', (event) => {
+		const { athenaId, isRead } = event.detail;
+		const editorial = allEditorials.find(e => e.athena_id === athenaId);
+		if (!editorial || editorial.is_read !== isRead || savingIds.has(editorial.id)) return;
+		editorial.is_read = !isRead;
+		readStatusErrors.set(editorial.id, isRead);
+		if (section.hasRevision) updateRevisionSchedule([athenaId], !isRead);
+		refreshReadStatusViews();
+	});
+
+	/**
+	 * Refills the revision list and due count on the home stats, if they're showing.
+	 */
+	async function refreshRevisionQueue() {
+		const queueList = document.querySelector('#content-area .revision-queue-list');
+		if (!queueList) return;
+		const dueCount = await renderRevisionQueue(queueList, allEditorials, true);
+		const countElement = document.querySelector('#content-area .revision-due-count');
+		if (countElement) countElement.textContent = dueCount;
+	}
 	
 	// Event listener for all actions in the content area
 	contentArea.addEventListener('click', async (event) => {
 		const target = event.target;
 	
+		// --- HIGHLIGHTS VIEW LOGIC ---
+		if (target.classList.contains('btn-open-highlight')) {
+			const editorial = allEditorials.find(e => e.id === target.dataset.docId);
+			if (editorial) openEditorial(editorial);
+			return;
+		}
+		if (target.classList.contains('btn-delete-highlight')) {
+			await deleteHighlight(target.dataset.id);
+			renderHighlightsView();
+			return;
+		}
+		if (target.id === 'btn-export-highlights') {
+			downloadFile(`${section.key}-highlights.md`, buildHighlightsMarkdown(getSectionHighlights(), section.title), 'text/markdown');
+			return;
+		}
+
+		// --- SEARCH RESULT LOGIC ---
+		const searchResult = target.closest('.search-result');
+		if (searchResult) {
+			const editorial = allEditorials.find(e => e.id === searchResult.dataset.docId);
+			if (editorial) openEditorial(editorial);
+			return;
+		}
+	
 		// --- VIEW BUTTON LOGIC ---
 		if (target.classList.contains('btn-view')) {
-			const docId = target.dataset.docId;
-			
-			// Show modal with a loading message
-			modalTitle.textContent = 'Loading...';
-			modalMeta.innerHTML = '';
-			modalBody.innerHTML = '';
-			modal.classList.add('visible');
-	
-			try {
-				// 1. Get the temporary download link from our API
-				const linkResponse = await fetch(`https://kenshin.pythonanywhere.com/api/v1/notes/editorials/${docId}/download-link`);
-				const { download_url } = await linkResponse.json();
-	
-				// 2. Fetch the raw .md file content from the link
-				const fileResponse = await fetch(download_url);
-				const mdContent = await fileResponse.text();
-	
-				// 3. Parse the file content
-				const { data, content } = matter(mdContent);
-				const htmlContent = marked.parse(content); // from Marked.js library
-	
-				// 4. Populate and display the modal
-				modalTitle.textContent = data.title || target.closest('.editorial-item').querySelector('.editorial-title').textContent;
-				
-				let metaHTML = '';
-				if (data.subject) metaHTML += `<span><strong>Subject:</strong> ${data.subject}</span>`;
-				if (data.source) metaHTML += `<span><strong>Source:</strong> ${data.source}</span>`;
-				modalMeta.innerHTML = metaHTML;
-				if (data.tags && Array.isArray(data.tags)) {
-					data.tags.forEach(tag => modalMeta.innerHTML += `<span class="modal-tag">${tag}</span>`);
-				}
-				
-				modalBody.innerHTML = htmlContent;
-	
-			} catch (error) {
-				modalTitle.textContent = 'Error';
-				modalBody.innerHTML = '<p>Could not load the editorial content. Please try again.</p>';
-				console.error('Error viewing editorial:', error);
-			}
+			const editorial = allEditorials.find(e => e.id === target.dataset.docId);
+			if (editorial) openEditorial(editorial);
 		}
 	
 		// --- TOGGLE READ/UNREAD BUTTON LOGIC ---
 		if (target.classList.contains('btn-toggle-read')) {
 			const docId = target.dataset.docId;
-			const athenaId = target.dataset.athenaId;
-		
-			// First, find the currently selected day in the explorer list
-			const selectedDayElement = document.querySelector('#explorer-list .explorer-item.selected');
-			if (!selectedDayElement) return; // Exit if no day is selected
 		
-			const day = selectedDayElement.dataset.day;
-			
-			// Now, find the specific editorial in our data using the IDs
-			const editorialsForDay = editorialsByDate[currentState.year][currentState.month][day];
-			if (!editorialsForDay) return;
-			const itemToUpdate = editorialsForDay.find(e => e.id === docId);
+			// Find the specific editorial among those listed for the selected day or group
+			const itemToUpdate = getSelectedEditorials().find(e => e.id === docId);
 			if (!itemToUpdate) return;
 		
 			// Proceed with the update
-			const newStatus = !itemToUpdate.is_read;
-		
-			// API call to update the status in the database
-			fetch(`https://kenshin.pythonanywhere.com/api/v1/notes/status/${athenaId}`, {
-				method: 'PATCH',
-				headers: { 'Content-Type': 'application/json' },
-				body: JSON.stringify({ is_read: newStatus })
-			});
+			setReadStatus(itemToUpdate, !itemToUpdate.is_read);
+		}
+	
+		// --- RETRY A FAILED READ/UNREAD UPDATE ---
+		if (target.classList.contains('btn-retry-read')) {
+			const itemToUpdate = allEditorials.find(e => e.id === target.dataset.docId);
+			if (itemToUpdate && readStatusErrors.has(itemToUpdate.id)) {
+				setReadStatus(itemToUpdate, readStatusErrors.get(itemToUpdate.id));
+			}
+		}
+	});
+
+	/**
+	 * Optimistically sets an editorial's read status, rolling it back and showing
+	 * an inline error if the server rejects the change.
+	 * @param {object} editorial - The editorial to update.
+	 * @param {boolean} newStatus - The new read status.
+	 */
+	async function setReadStatus(editorial, newStatus) {
+		if (savingIds.has(editorial.id)) return;
+		const previousStatus = editorial.is_read;
+
+		// Update the item in our local data so the UI can refresh instantly
+		editorial.is_read = newStatus;
+		readStatusErrors.delete(editorial.id);
+		savingIds.add(editorial.id);
+		refreshReadStatusViews();
+
+		try {
+			// API call to update the status in the database (queued if we're offline)
+			await dataSource.updateReadStatus(editorial.athena_id, newStatus);
+			if (section.hasRevision) updateRevisionSchedule([editorial.athena_id], newStatus);
+		} catch (error) {
+			editorial.is_read = previousStatus;
+			readStatusErrors.set(editorial.id, newStatus);
+			console.error('Error updating read status:', error);
+		} finally {
+			savingIds.delete(editorial.id);
+			refreshReadStatusViews();
+		}
+	}
+
+	/**
+	 * Marks a group of editorials as read or unread in as few requests as possible,
+	 * showing progress in the bulk actions bar and rolling back any that fail.
+	 * @param {Array} editorials - The editorials to update.
+	 * @param {boolean} newStatus - The new read status.
+	 */
+	async function setReadStatusForAll(editorials, newStatus) {
+		const toUpdate = editorials.filter(e => e.is_read !== newStatus && !savingIds.has(e.id));
+		if (toUpdate.length === 0) return;
+
+		toUpdate.forEach(e => {
+			e.is_read = newStatus;
+			readStatusErrors.delete(e.id);
+			savingIds.add(e.id);
+		});
+		bulkJob = { isRunning: true, newStatus, done: 0, total: toUpdate.length, failed: [] };
+		refreshReadStatusViews();
+
+		const failedIds = await dataSource.updateReadStatusBulk(toUpdate.map(e => e.athena_id), newStatus, done => {
+			bulkJob.done = done;
+			renderBulkActions();
+		});
+
+		// Roll back the ones the server rejected
+		bulkJob.failed = toUpdate.filter(e => failedIds.includes(e.athena_id));
+		bulkJob.failed.forEach(e => e.is_read = !newStatus);
+		if (section.hasRevision) {
+			updateRevisionSchedule(toUpdate.filter(e => !failedIds.includes(e.athena_id)).map(e => e.athena_id), newStatus);
+		}
+		bulkJob.isRunning = false;
+		toUpdate.forEach(e => savingIds.delete(e.id));
+		refreshReadStatusViews();
+	}
+
+	/**
+	 * Works out which editorials the bulk actions apply to: the selected day or group,
+	 * otherwise the open month, otherwise the open year.
+	 * @returns {{label: string, editorials: Array}|null} - null on the years level, or with no group selected.
+	 */
+	function getBulkScope() {
+		const { level, year, month, day, group } = currentState;
+		if (day) {
+			return { label: `${day} ${month} ${year}`, editorials: editorialsByDate[year][month][day] };
+		}
+		if (group) {
+			return { label: escapeHtml(group), editorials: getSelectedEditorials() };
+		}
+		if (level === 'dates') {
+			return { label: `${month} ${year}`, editorials: Object.values(editorialsByDate[year][month]).flat() };
+		}
+		if (level === 'months') {
+			const editorials = Object.values(editorialsByDate[year]).flatMap(days => Object.values(days).flat());
+			return { label: year, editorials };
+		}
+		return null;
+	}
+
+	/**
+	 * Renders the "Mark all read / unread" bar for the current explorer scope, with progress while running.
+	 */
+	function renderBulkActions() {
+		const bulkActions = document.getElementById('bulk-actions');
+		if (!bulkActions) return;
+
+		const scope = getBulkScope();
+		if (!scope) {
+			bulkActions.innerHTML = '';
+			return;
+		}
+
+		const unreadCount = scope.editorials.filter(e => !e.is_read).length;
+		const isRunning = bulkJob && bulkJob.isRunning;
+
+		let statusHTML = '';
+		if (isRunning) {
+			statusHTML = `
+				<progress class="bulk-progress" max="${bulkJob.total}" value="${bulkJob.done}"></progress>
+				<p class="bulk-status">Updating ${bulkJob.done}/${bulkJob.total}...</p>`;
+		} else if (bulkJob && bulkJob.failed.length > 0) {
+			statusHTML = `
+				<p class="inline-error">
+					${bulkJob.failed.length} could not be updated.
+					<button class="btn-bulk-retry">Retry</button>
+				</p>`;
+		}
+
+		bulkActions.innerHTML = `
+			<p class="bulk-label">${scope.label}: ${unreadCount} of ${scope.editorials.length} unread</p>
+			<div class="bulk-buttons">
+				<button class="btn-bulk" data-status="read" ${isRunning || unreadCount === 0 ? 'disabled' : ''}>Mark all read</button>
+				<button class="btn-bulk" data-status="unread" ${isRunning || unreadCount === scope.editorials.length ? 'disabled' : ''}>Mark all unread</button>
+			</div>
+			${statusHTML}
+		`;
+	}
+
+	/**
+	 * Re-renders everything that shows read status after a change.
+	 */
+	function refreshReadStatusViews() {
+		renderBulkActions();
+		if (contentArea.querySelector('.stats-grid')) renderHomeStats(futureExams, allEditorials);
+		if (currentState.day || currentState.group) renderSelectedEditorials();
+		if (currentState.level === 'groups') renderGroupItems();
+	}
+
+	document.getElementById('bulk-actions')?.addEventListener('click', (event) => {
+		if (event.target.classList.contains('btn-bulk')) {
+			const scope = getBulkScope();
+			if (scope) setReadStatusForAll(scope.editorials, event.target.dataset.status === 'read');
+		}
+		if (event.target.classList.contains('btn-bulk-retry') && bulkJob) {
+			setReadStatusForAll(bulkJob.failed, bulkJob.newStatus);
+		}
+	});
+	
+	// Whether the open editorial was opened from within the page, so closing it can step back in history
+	let isModalPushed = false;
+
+	/**
+	 * Opens an editorial by routing to it, which reveals its day in the explorer and shows the modal.
+	 * Used by the View button, search results and the other lists that link to editorials.
+	 * @param {object} editorial - The editorial object from the API.
+	 * @param {boolean} [isStep=false] - True when moving on from the open editorial, which replaces its history entry.
+	 */
+	function openEditorial(editorial, isStep = false) {
+		// Stay in the open group if the editorial is in it, otherwise go to its day
+		const position = currentState.group && getSelectedEditorials().includes(editorial)
+			? { grouping: currentState.grouping, group: currentState.group }
+			: getExplorerDateParts(editorial);
+		const route = buildExplorerRoute(position, editorial.id);
+		if (location.hash === route) {
+			showEditorial(editorial);
+		} else if (isStep) {
+			location.replace(route);
+		} else {
+			isModalPushed = true;
+			location.hash = route;
+		}
+	}
+
+	/**
+	 * Finds the editorial before or after another in date order.
+	 * @param {object} editorial - Where to start.
+	 * @param {number} step - 1 for the next editorial, -1 for the previous one.
+	 * @returns {object|undefined}
+	 */
+	function getAdjacentEditorial(editorial, step) {
+		const chronological = [...allEditorials].sort((a, b) => new Date(a.date) - new Date(b.date));
+		return chronological[chronological.indexOf(editorial) + step];
+	}
+
+	/**
+	 * Closes the modal, stepping back in history if opening it added an entry.
+	 */
+	function closeEditorial() {
+		if (isModalPushed) {
+			history.back();
+		} else {
+			history.replaceState(null, '', buildExplorerRoute(currentState));
+			hideEditorial();
+		}
+	}
+
+	/**
+	 * Hides the modal viewer.
+	 */
+	function hideEditorial() {
+		modal.classList.remove('visible');
+		openedEditorial = null;
+		isModalPushed = false;
+		hideHighlightToolbar();
+	}
+
+	/**
+	 * Shows the modal viewer for an editorial, downloading and rendering its markdown.
+	 * @param {object} editorial - The editorial object from the API.
+	 */
+	async function showEditorial(editorial) {
+		// Show modal with a loading message
+		modalTitle.textContent = 'Loading...';
+		modalMeta.innerHTML = '';
+		modalToc.hidden = true;
+		modalBody.innerHTML = '';
+		modalRelated.hidden = true;
+		modal.classList.add('visible');
+		modal.querySelector('.modal-content').scrollTop = 0; // Stepping to another editorial starts it from the top
+		hideHighlightToolbar();
+		revisionRating.hidden = true;
+		openedEditorial = { editorial, data: null }; // Front matter arrives with the download
+		renderModalNavigation(editorial);
+	
+		try {
+			// 1. Download the raw .md file content
+			const mdContent = await fetchEditorialMarkdown(editorial.id, section.collection);
+	
+			// 2. Parse the file content, sanitizing the HTML before it reaches the page
+			const { data, content } = matter(mdContent);
+			const { body, headings } = renderMarkdown(content);
+
+			// Keep the grouping index in step with what the note says now
+			indexDownloadedEditorial(editorial, data, content);
+
+			// The modal was closed or moved on to another editorial while this one downloaded
+			if (openedEditorial?.editorial !== editorial) return;
+	
+			// 3. Populate and display the modal
+			modalTitle.textContent = data.title || formatEditorialTitle(editorial);
 			
-			// Update the item in our local data so the UI can refresh instantly
-			itemToUpdate.is_read = newStatus;
+			modalMeta.innerHTML = buildNoteMetaHtml(data);
 			
-			// Re-render the list to show the change
-			renderEditorialsForDay(day);
+			modalToc.innerHTML = renderTableOfContents(headings);
+			modalToc.hidden = !modalToc.innerHTML;
+			modalBody.replaceChildren(body);
+			openedEditorial.data = data;
+			applySavedHighlights(editorial);
+			if (section.hasRevision) renderRevisionRating(editorial);
+			renderRelatedEditorials(editorial);
+	
+		} catch (error) {
+			if (openedEditorial?.editorial !== editorial) return;
+			modalTitle.textContent = 'Error';
+			modalBody.innerHTML = '<p>Could not load the editorial content. Please try again.</p>';
+			console.error('Error viewing editorial:', error);
 		}
-	});
+	}
 	
+	/**
+	 * Shows the recall rating buttons under an editorial that's due for revision,
+	 * or when it's next due if it isn't.
+	 * @param {object} editorial - The editorial showing in the modal.
+	 */
+	async function renderRevisionRating(editorial) {
+		const revision = (await loadRevisions()).find(r => r.athenaId === editorial.athena_id);
+		if (!revision || openedEditorial?.editorial !== editorial) return;
+
+		const dueDate = new Date(`${revision.dueDate}T00:00:00`).toLocaleDateString('en-GB', { day: 'numeric', month: 'short', year: 'numeric' });
+		if (revision.dueDate > formatDateKey(new Date())) {
+			revisionRating.innerHTML = `<p class="revision-prompt">Next revision on ${dueDate}.</p>`;
+		} else {
+			const buttons = Object.entries(REVISION_RATINGS)
+				.map(([rating, { label }]) => `<button class="btn-secondary btn-rate-revision" data-rating="${rating}">${label}</button>`)
+				.join('');
+			revisionRating.innerHTML = `<p class="revision-prompt">Due for revision. How well did you remember it?</p>${buttons}`;
+		}
+		revisionRating.hidden = false;
+	}
+
+	revisionRating.addEventListener('click', async (event) => {
+		if (!event.target.classList.contains('btn-rate-revision') || !openedEditorial) return;
+		const { editorial } = openedEditorial;
+		revisionRating.querySelectorAll('button').forEach(button => button.disabled = true);
+
+		const next = await rateRevision(editorial.athena_id, event.target.dataset.rating);
+		if (openedEditorial?.editorial !== editorial) return;
+		revisionRating.innerHTML = next
+			? `<p class="revision-prompt">Saved. Next revision in ${next.intervalDays} day${next.intervalDays === 1 ? '' : 's'}.</p>`
+			: `<p class="inline-error">Couldn't save the rating.</p>`;
+	});
+
+	/**
+	 * Shows the Previous and Next buttons under the modal, which step through editorials in
+	 * date order (past the end of the day, into the ones either side), and fetches both ahead.
+	 * @param {object} editorial - The editorial showing in the modal.
+	 */
+	function renderModalNavigation(editorial) {
+		const previous = getAdjacentEditorial(editorial, -1);
+		const next = getAdjacentEditorial(editorial, 1);
+		const stepButton = (adjacent, step, label) => `
+			<button class="modal-nav-button" data-step="${step}" ${adjacent ? '' : 'disabled'} title="${step < 0 ? 'K' : 'J'}">
+				<span class="modal-nav-label">${label}</span>
+				<span class="modal-nav-title">${adjacent ? escapeHtml(formatEditorialTitle(adjacent)) : 'None'}</span>
+			</button>
+		`;
+		modalNav.innerHTML = stepButton(previous, -1, '&larr; Previous') + stepButton(next, 1, 'Next &rarr;');
+		modalNav.hidden = false;
+		prefetchEditorials([previous, next]);
+	}
+
+	/**
+	 * Lists the editorials related to the one in the modal, from the editorials indexed so far.
+	 * Nothing is downloaded for it: the index grows as editorials are opened, prefetched or searched.
+	 * @param {object} editorial - The editorial showing in the modal.
+	 */
+	async function renderRelatedEditorials(editorial) {
+		const metadata = await getIndexedMetadata();
+		if (openedEditorial?.editorial !== editorial) return;
+
+		const related = findRelatedNotes(editorial, allEditorials, metadata);
+		// Editorials indexed before keywords were kept can only match on tags and subject
+		const comparedCount = allEditorials.filter(e => metadata.get(e.id)?.keywords).length;
+		const coverageNote = comparedCount < allEditorials.length
+			? `<p class="modal-related-empty">Compared with ${comparedCount} of ${allEditorials.length} editorials so far; more are added as you open and search them.</p>`
+			: '';
+		const items = related.map(({ note, reasons }) => `
+			<li>
+				<button class="modal-related-item" data-doc-id="${escapeHtml(note.id)}">${escapeHtml(formatEditorialTitle(note))}</button>
+				<span class="modal-related-reasons">${new Date(note.date).toLocaleDateString('en-GB', { day: 'numeric', month: 'short', year: 'numeric' })} · ${escapeHtml(reasons.join(' · '))}</span>
+			</li>
+		`).join('');
+		modalRelated.innerHTML = `
+			<h4 class="activity-title">Related</h4>
+			${related.length > 0 ? `<ul class="modal-related-list">${items}</ul>` : '<p class="modal-related-empty">No editorials share its tags, subject or wording.</p>'}
+			${coverageNote}
+		`;
+		modalRelated.hidden = false;
+		prefetchEditorials(related.map(({ note }) => note));
+	}
+
+	/**
+	 * Starts downloading editorials the reader is likely to open next, so they show at once,
+	 * and indexes them for the Related panel.
+	 * @param {Array} editorials - The editorials to fetch; missing ones are skipped.
+	 */
+	function prefetchEditorials(editorials) {
+		editorials.filter(Boolean).forEach(editorial => {
+			fetchEditorialMarkdown(editorial.id, section.collection)
+				.then(mdContent => {
+					const { data, content } = matter(mdContent);
+					indexDownloadedEditorial(editorial, data, content);
+				})
+				// A failed prefetch is simply tried again when the editorial is opened
+				.catch(() => {});
+		});
+	}
+
+	// Previous/Next and related editorials replace the open one, without adding to the history
+	modalNav.addEventListener('click', (event) => {
+		const button = event.target.closest('.modal-nav-button');
+		if (!button || !openedEditorial) return;
+		const adjacent = getAdjacentEditorial(openedEditorial.editorial, Number(button.dataset.step));
+		if (adjacent) openEditorial(adjacent, true);
+	});
+
+	modalRelated.addEventListener('click', (event) => {
+		const item = event.target.closest('.modal-related-item');
+		if (!item) return;
+		const editorial = allEditorials.find(e => e.id === item.dataset.docId);
+		if (editorial) openEditorial(editorial, true);
+	});
+
+	// Contents and footnote links scroll within the modal instead of changing the route
+	[modalToc, modalBody].forEach(element => element.addEventListener('click', (event) => {
+		const link = event.target.closest('a[href^="#"]');
+		if (!link) return;
+		event.preventDefault();
+		const targetId = decodeURIComponent(link.hash.slice(1));
+		[...modalBody.querySelectorAll('[id]')].find(element => element.id === targetId)?.scrollIntoView({ behavior: 'smooth', block: 'start' });
+	}));
+
 	// Logic to close the modal
 	modal.addEventListener('click', (event) => {
 		// Close if the backdrop or the close button is clicked
 		if (event.target.classList.contains('modal-backdrop') || event.target.classList.contains('modal-close-btn')) {
-			modal.classList.remove('visible');
+			closeEditorial();
+		}
+	});
+
+	/**
+	 * Marks the editorial's saved highlights in the modal body. Highlights whose text
+	 * has since been edited away are counted under the metadata instead.
+	 * @param {object} editorial - The editorial showing in the modal.
+	 */
+	function applySavedHighlights(editorial) {
+		const text = modalBody.textContent;
+		let missingCount = 0;
+		highlights
+			.filter(highlight => highlight.collection === section.collection && highlight.docId === editorial.id)
+			.forEach(highlight => {
+				const position = locateTextQuote(text, highlight);
+				if (position) {
+					wrapTextRange(modalBody, position.start, position.end, highlight);
+				} else {
+					missingCount++;
+				}
+			});
+
+		if (missingCount > 0) {
+			modalMeta.insertAdjacentHTML('beforeend', `<p class="highlight-missing">${missingCount} highlight${missingCount === 1 ? '' : 's'} no longer match the text; see My Highlights.</p>`);
+		}
+	}
+
+	// The selection waiting to be saved as a highlight
+	let pendingHighlightRange = null;
+
+	/**
+	 * Shows the save-highlight toolbar under the current selection in the modal body.
+	 * @param {Range} range - The selected range.
+	 */
+	function showHighlightToolbar(range) {
+		const modalContent = modal.querySelector('.modal-content');
+		const rangeRect = range.getBoundingClientRect();
+		const contentRect = modalContent.getBoundingClientRect();
+
+		highlightToolbar.style.top = `${rangeRect.bottom - contentRect.top + modalContent.scrollTop + 8}px`;
+		highlightToolbar.style.left = `${Math.max(rangeRect.left - contentRect.left, 0)}px`;
+		highlightToolbar.querySelector('datalist').innerHTML = [...new Set(highlights.map(h => h.tag).filter(Boolean))]
+			.map(tag => `<option value="${escapeHtml(tag)}">`)
+			.join('');
+		highlightToolbar.hidden = false;
+	}
+
+	/**
+	 * Hides and clears the save-highlight toolbar.
+	 */
+	function hideHighlightToolbar() {
+		highlightToolbar.hidden = true;
+		highlightToolbar.reset();
+		highlightToolbar.querySelector('.settings-error').textContent = '';
+		pendingHighlightRange = null;
+	}
+
+	modalBody.addEventListener('mouseup', () => {
+		const selection = window.getSelection();
+		if (!openedEditorial?.data || selection.isCollapsed || !modalBody.contains(selection.anchorNode) || !modalBody.contains(selection.focusNode)) {
+			return;
+		}
+		pendingHighlightRange = selection.getRangeAt(0).cloneRange();
+		showHighlightToolbar(pendingHighlightRange);
+	});
+
+	highlightToolbar.addEventListener('submit', async (event) => {
+		event.preventDefault();
+		if (!pendingHighlightRange || !openedEditorial?.data) return;
+
+		// Offsets into the body's text, so the quote can be found again after re-rendering
+		const before = document.createRange();
+		before.setStart(modalBody, 0);
+		before.setEnd(pendingHighlightRange.startContainer, pendingHighlightRange.startOffset);
+		const start = before.toString().length;
+		const end = start + pendingHighlightRange.toString().length;
+
+		const { editorial, data } = openedEditorial;
+		const highlight = {
+			highlightId: createId(),
+			collection: section.collection,
+			docId: editorial.id,
+			title: data.title || formatEditorialTitle(editorial),
+			subject: data.subject || '',
+			source: data.source || '',
+			date: editorial.date,
+			...createTextQuote(modalBody.textContent, start, end),
+			note: highlightToolbar.elements['highlight-note'].value.trim(),
+			tag: highlightToolbar.elements['highlight-tag'].value.trim(),
+			createdAt: new Date().toISOString()
+		};
+
+		// Only mark the text once the highlight is stored, so it can't vanish on reload
+		try {
+			await saveHighlight(highlight);
+		} catch (error) {
+			highlightToolbar.querySelector('.settings-error').textContent = "Couldn't save the highlight. Please try again.";
+			console.error('Error saving highlight:', error);
+			return;
+		}
+		wrapTextRange(modalBody, start, end, highlight);
+		window.getSelection().removeAllRanges();
+		hideHighlightToolbar();
+	});
+
+	highlightToolbar.addEventListener('click', (event) => {
+		if (event.target.classList.contains('btn-cancel-highlight')) hideHighlightToolbar();
+	});
+
+	// The "My Highlights" view in the content area, with its tag and subject filters
+	const highlightFilters = { tag: '', subject: '' };
+
+	/**
+	 * Returns this section's highlights, in reading order.
+	 * @returns {object[]}
+	 */
+	function getSectionHighlights() {
+		return highlights
+			.filter(highlight => highlight.collection === section.collection)
+			.sort((a, b) => a.date.localeCompare(b.date) || a.start - b.start);
+	}
+
+	/**
+	 * Lists this section's highlights in the content area, filtered by tag and subject.
+	 */
+	function renderHighlightsView() {
+		const sectionHighlights = getSectionHighlights();
+		const tags = [...new Set(sectionHighlights.map(h => h.tag).filter(Boolean))].sort();
+		const subjects = [...new Set(sectionHighlights.map(h => h.subject).filter(Boolean))].sort();
+		const options = (values, selected) => values
+			.map(value => `<option value="${escapeHtml(value)}" ${value === selected ? 'selected' : ''}>${escapeHtml(value)}</option>`)
+			.join('');
+
+		const shown = sectionHighlights.filter(highlight =>
+			(!highlightFilters.tag || highlight.tag === highlightFilters.tag) &&
+			(!highlightFilters.subject || highlight.subject === highlightFilters.subject)
+		);
+
+		const items = shown.map(highlight => `
+			<div class="editorial-item highlight-item">
+				<div class="editorial-info">
+					<blockquote class="highlight-quote">${escapeHtml(highlight.exact)}</blockquote>
+					${highlight.note ? `<p class="highlight-note">${escapeHtml(highlight.note)}</p>` : ''}
+					<div class="editorial-meta">
+						<span>${escapeHtml(highlight.title)}</span>
+						${highlight.subject ? `<span>${escapeHtml(highlight.subject)}</span>` : ''}
+						${highlight.tag ? `<span class="modal-tag">${escapeHtml(highlight.tag)}</span>` : ''}
+					</div>
+				</div>
+				<div class="editorial-actions">
+					<button class="btn-view btn-open-highlight" data-doc-id="${highlight.docId}">View</button>
+					<button class="btn-delete-highlight btn-delete-exam" data-id="${highlight.highlightId}" title="Delete highlight">&times;</button>
+				</div>
+			</div>
+		`).join('');
+
+		contentArea.innerHTML = `
+			<div class="highlights-toolbar">
+				<select class="search-filter" name="highlight-tag-filter">
+					<option value="">All tags</option>
+					${options(tags, highlightFilters.tag)}
+				</select>
+				<select class="search-filter" name="highlight-subject-filter">
+					<option value="">All subjects</option>
+					${options(subjects, highlightFilters.subject)}
+				</select>
+				<button id="btn-export-highlights" class="btn-secondary" ${sectionHighlights.length === 0 ? 'disabled' : ''}>Export all as markdown</button>
+			</div>
+			<p class="search-summary">${shown.length} highlight${shown.length === 1 ? '' : 's'}</p>
+			${items || '<p>Select text in an open editorial to save a highlight.</p>'}
+		`;
+	}
+
+	contentArea.addEventListener('change', (event) => {
+		if (event.target.name === 'highlight-tag-filter') {
+			highlightFilters.tag = event.target.value;
+		} else if (event.target.name === 'highlight-subject-filter') {
+			highlightFilters.subject = event.target.value;
+		} else {
+			return;
+		}
+		renderHighlightsView();
+	});
+
+	document.getElementById('btn-highlights')?.addEventListener('click', () => {
+		enterContentView('highlights');
+		renderHighlightsView();
+	});
+
+	// --- REVISION BOOKLET ---
+	const bookletModal = document.getElementById('booklet-modal');
+	const bookletForm = document.getElementById('booklet-form');
+	let isCompilingBooklet = false;
+
+	/**
+	 * Lists the ranges a booklet can cover from where the explorer is: the selected day,
+	 * the open month, a tag, or everything unread.
+	 * @returns {Array<{value: string, label: string}>}
+	 */
+	function getBookletScopes() {
+		const { year, month, day } = currentState;
+		const scopes = [];
+		if (day) scopes.push({ value: 'day', label: `${day} ${month} ${year}` });
+		if (month) scopes.push({ value: 'month', label: `${month} ${year}` });
+		scopes.push({ value: 'tag', label: 'A tag' });
+		scopes.push({ value: 'unread', label: `All unread (${allEditorials.filter(e => !e.is_read).length})` });
+		return scopes;
+	}
+
+	/**
+	 * Renders the booklet form, defaulting to the narrowest range the explorer is showing.
+	 */
+	function renderBookletForm() {
+		const scopes = getBookletScopes();
+		const tagGroup = currentState.grouping === 'tag' ? currentState.group : null;
+		const defaultScope = tagGroup ? 'tag' : scopes[0].value;
+
+		bookletForm.innerHTML = `
+			<label>Range
+				<select name="booklet-scope" class="search-filter">
+					${scopes.map(({ value, label }) => `<option value="${value}" ${value === defaultScope ? 'selected' : ''}>${escapeHtml(label)}</option>`).join('')}
+				</select>
+			</label>
+			<label class="booklet-tag" hidden>Tag <select name="booklet-tag" class="search-filter"></select></label>
+			<button type="button" class="btn-secondary btn-booklet-print">Print / Save as PDF</button>
+			<button type="button" class="btn-secondary btn-booklet-markdown">Download Markdown</button>
+			<p class="settings-note booklet-status"></p>
+			<p class="settings-error"></p>
+		`;
+		updateBookletTagChoice(tagGroup);
+	}
+
+	/**
+	 * Shows the tag picker when the tag range is chosen, filling it once the metadata index is ready.
+	 * @param {?string} [selectedTag] - The tag to pick.
+	 */
+	async function updateBookletTagChoice(selectedTag = null) {
+		const tagLabel = bookletForm.querySelector('.booklet-tag');
+		tagLabel.hidden = bookletForm.elements['booklet-scope'].value !== 'tag';
+		if (tagLabel.hidden) return;
+
+		const tagSelect = bookletForm.elements['booklet-tag'];
+		if (tagSelect.options.length > 0) return;
+		tagSelect.innerHTML = '<option value="">Loading tags...</option>';
+		await ensureNoteMetadata();
+		const tags = getGroups('tag').filter(({ name }) => name !== NOTE_GROUPINGS.tag.emptyLabel);
+		tagSelect.innerHTML = tags
+			.map(({ name, editorials }) => `<option value="${escapeHtml(name)}" ${name === selectedTag ? 'selected' : ''}>${escapeHtml(name)} (${editorials.length})</option>`)
+			.join('') || '<option value="">No tags</option>';
+	}
+
+	/**
+	 * Works out the booklet's editorials and title from the form.
+	 * @returns {{title: string, editorials: Array}}
+	 */
+	function getBookletSelection() {
+		const { year, month, day } = currentState;
+		const scope = bookletForm.elements['booklet-scope'].value;
+		if (scope === 'day') {
+			return { title: `${day} ${month} ${year}`, editorials: editorialsByDate[year][month][day] };
+		}
+		if (scope === 'month') {
+			return { title: `${month} ${year}`, editorials: Object.values(editorialsByDate[year][month]).flat() };
+		}
+		if (scope === 'tag') {
+			const tag = bookletForm.elements['booklet-tag'].value;
+			const group = tag && getGroups('tag')?.find(({ name }) => name === tag);
+			return { title: `#${tag}`, editorials: group ? group.editorials : [] };
+		}
+		return { title: 'Unread', editorials: allEditorials.filter(e => !e.is_read) };
+	}
+
+	/**
+	 * Downloads the chosen editorials and hands the compiled booklet to the print dialog or a markdown file.
+	 * @param {'print'|'markdown'} format
+	 */
+	async function compileBooklet(format) {
+		if (isCompilingBooklet) return;
+		const status = bookletForm.querySelector('.booklet-status');
+		const errorElement = bookletForm.querySelector('.settings-error');
+		const { title, editorials } = getBookletSelection();
+		errorElement.textContent = '';
+		if (editorials.length === 0) {
+			errorElement.textContent = 'There are no editorials in that range.';
+			return;
+		}
+
+		isCompilingBooklet = true;
+		bookletForm.querySelectorAll('button').forEach(button => button.disabled = true);
+		try {
+			const { entries, failedCount } = await loadBookletEntries(editorials, section.collection, (done, total) => {
+				status.textContent = `Downloading ${done}/${total}...`;
+			});
+			if (entries.length === 0) {
+				errorElement.textContent = 'None of the editorials could be downloaded.';
+				status.textContent = '';
+				return;
+			}
+			status.textContent = failedCount > 0 ? `${failedCount} editorial(s) could not be downloaded and were left out.` : '';
+
+			const booklet = { title, subtitle: section.title, entries };
+			if (format === 'print') {
+				printBooklet(buildBookletElement(booklet));
+			} else {
+				const fileName = `${section.key}-booklet-${title.replace(/[^\w-]+/g, '-').replace(/^-|-$/g, '').toLowerCase() || 'notes'}.md`;
+				downloadFile(fileName, buildBookletMarkdown(booklet), 'text/markdown');
+			}
+		} finally {
+			isCompilingBooklet = false;
+			bookletForm.querySelectorAll('button').forEach(button => button.disabled = false);
 		}
+	}
+
+	document.getElementById('btn-booklet')?.addEventListener('click', () => {
+		renderBookletForm();
+		bookletModal.classList.add('visible');
+	});
+
+	bookletModal?.addEventListener('click', (event) => {
+		if (event.target === bookletModal || event.target.classList.contains('modal-close-btn')) {
+			bookletModal.classList.remove('visible');
+		} else if (event.target.classList.contains('btn-booklet-print')) {
+			compileBooklet('print');
+		} else if (event.target.classList.contains('btn-booklet-markdown')) {
+			compileBooklet('markdown');
+		}
+	});
+
+	bookletForm?.addEventListener('change', (event) => {
+		if (event.target.name === 'booklet-scope') updateBookletTagChoice();
 	});
-}
\ No newline at end of file
+
+	// The palette can jump to any date or editorial in this section, and toggle read status
+	registerCommandSource(() => {
+		const dateCommands = [];
+		Object.keys(editorialsByDate).forEach(year => {
+			Object.keys(editorialsByDate[year]).forEach(month => {
+				Object.keys(editorialsByDate[year][month]).forEach(day => {
+					dateCommands.push({
+						type: 'Date',
+						label: `${day} ${month} ${year}`,
+						detail: `${editorialsByDate[year][month][day].length} ${section.title}`,
+						run: () => navigateTo({ year, month, day })
+					});
+				});
+			});
+		});
+
+		const editorialCommands = allEditorials.map(e => {
+			const { year, month, day } = getExplorerDateParts(e);
+			return {
+				type: 'Editorial',
+				label: formatEditorialTitle(e),
+				detail: `${day} ${month} ${year} · ${e.is_read ? 'Read' : 'Unread'}`,
+				run: () => openEditorial(e),
+				toggle: () => setReadStatus(e, !e.is_read),
+				toggleLabel: e.is_read ? 'Mark as Unread' : 'Mark as Read'
+			};
+		});
+		return [...dateCommands, ...editorialCommands];
+	});
+
+	// Back and forward replay the explorer and modal steps from the URL
+	window.addEventListener('hashchange', () => applyRoute());
+	applyRoute(true);
+
+	setupSearch();
+
+	/**
+	 * Wires up the search bar: indexes titles straight away, indexes front matter and
+	 * bodies in the background on first use, and renders ranked results in the content area.
+	 */
+	function setupSearch() {
+		const searchInput = document.getElementById('search-input');
+		const readFilter = document.getElementById('search-read-filter');
+		const dateFrom = document.getElementById('search-date-from');
+		const dateTo = document.getElementById('search-date-to');
+		const searchStatus = document.getElementById('search-status');
+		if (!searchInput) return;
+
+		const searchIndex = createSearchIndex();
+		allEditorials.forEach(e => indexEditorial(searchIndex, e));
+
+		let isSearchActive = false;
+		let contentIndexing = null;
+		let debounceTimer = null;
+
+		// Downloads every editorial (a few at a time) so subject, source, tags and body become searchable
+		function indexContent() {
+			if (contentIndexing) return contentIndexing;
+			let indexedCount = 0;
+			let failedCount = 0;
+
+			const updateStatus = () => {
+				searchStatus.textContent = indexedCount + failedCount < allEditorials.length
+					? `Indexing content... ${indexedCount}/${allEditorials.length}`
+					: (failedCount > 0 ? `Content search unavailable for ${failedCount} editorial(s).` : '');
+			};
+
+			updateStatus();
+			contentIndexing = mapWithConcurrency(allEditorials, DOWNLOAD_WORKERS, async editorial => {
+				try {
+					const { data, content } = matter(await fetchEditorialMarkdown(editorial.id, section.collection));
+					indexEditorial(searchIndex, editorial, data, content);
+					indexDownloadedEditorial(editorial, data, content);
+					indexedCount++;
+				} catch (error) {
+					failedCount++;
+					console.error(`Error indexing editorial ${editorial.id}:`, error);
+				}
+			}, updateStatus).then(() => {
+				if (isSearchActive) runSearch();
+			});
+			return contentIndexing;
+		}
+
+		function getFilters() {
+			return {
+				readStatus: readFilter.value,
+				from: dateFrom.value ? new Date(`${dateFrom.value}T00:00:00`) : null,
+				to: dateTo.value ? new Date(`${dateTo.value}T23:59:59.999`) : null
+			};
+		}
+
+		function runSearch() {
+			const query = searchInput.value.trim();
+			const filters = getFilters();
+			const hasFilters = filters.readStatus !== 'all' || filters.from || filters.to;
+
+			// Leaving search mode: put the explorer view back
+			if (!query && !hasFilters) {
+				if (isSearchActive) {
+					isSearchActive = false;
+					contentView = null;
+					render();
+					if (currentState.level !== 'years') contentArea.innerHTML = '';
+				}
+				return;
+			}
+
+			if (contentView?.name !== 'search') enterContentView('search', clearSearch);
+			isSearchActive = true;
+			renderSearchResults(searchEditorials(searchIndex, query, filters), query);
+		}
+
+		// Navigating the explorer away from the results ends the search
+		function clearSearch() {
+			isSearchActive = false;
+			searchInput.value = '';
+			readFilter.value = 'all';
+			dateFrom.value = '';
+			dateTo.value = '';
+		}
+
+		function renderSearchResults(results, query) {
+			contentArea.innerHTML = '';
+
+			const summary = document.createElement('p');
+			summary.className = 'search-summary';
+			summary.textContent = `${results.length} result${results.length === 1 ? '' : 's'}`;
+			contentArea.appendChild(summary);
+
+			results.forEach(({ editorial, fields, tags }) => {
+				const item = document.createElement('div');
+				item.className = 'editorial-item search-result';
+				item.dataset.docId = editorial.id;
+
+				const statusClass = editorial.is_read ? 'status-read' : 'status-unread';
+				const statusText = editorial.is_read ? 'Read' : 'Unread';
+				const snippet = buildSearchSnippet(fields.body, query);
+				const tagsHTML = tags.map(tag => `<span class="modal-tag">${highlightMatches(tag, query)}</span>`).join('');
+
+				item.innerHTML = `
+					<div class="editorial-info">
+						<p class="editorial-title">${highlightMatches(fields.title, query)}</p>
+						<div class="editorial-meta">
+							<span>${new Date(editorial.date).toLocaleDateString('en-GB', { day: 'numeric', month: 'long', year: 'numeric' })}</span>
+							<span class="status-dot ${statusClass}"></span>
+							<span>${statusText}</span>
+							${fields.subject ? `<span class="search-result-field">${highlightMatches(fields.subject, query)}</span>` : ''}
+							${fields.source ? `<span class="search-result-field">${highlightMatches(fields.source, query)}</span>` : ''}
+						</div>
+						${snippet ? `<p class="search-snippet">${highlightMatches(snippet, query)}</p>` : ''}
+						${tagsHTML ? `<div class="search-result-tags">${tagsHTML}</div>` : ''}
+					</div>
+				`;
+				contentArea.appendChild(item);
+			});
+		}
+
+		searchInput.addEventListener('focus', indexContent, { once: true });
+		searchInput.addEventListener('input', () => {
+			clearTimeout(debounceTimer);
+			debounceTimer = setTimeout(runSearch, 200);
+		});
+		[readFilter, dateFrom, dateTo].forEach(control => control.addEventListener('change', runSearch));
+	}
+}
+
+// Cache of downloaded markdown, keyed by document id
+const markdownCache = new Map();
+
+/**
+ * Gets the raw markdown for an editorial (or any note) from the data source.
+ * Results are cached for the lifetime of the page, so repeat views are instant.
+ * @param {string} docId - The note's document id.
+ * @param {string} [collection='editorials'] - The notes collection it belongs to.
+ * @returns {Promise<string>} - The raw markdown, including front matter.
+ */
+function fetchEditorialMarkdown(docId, collection = 'editorials') {
+    if (!markdownCache.has(docId)) {
+        const download = dataSource.getNoteMarkdown(collection, docId);
+        // Forget failed downloads so they can be retried
+        download.catch(() => markdownCache.delete(docId));
+        markdownCache.set(docId, download);
+    }
+    return markdownCache.get(docId);
+}
+
+// How many notes are downloaded at once when a feature needs a lot of them
+const DOWNLOAD_WORKERS = 4;
+
+/**
+ * Runs an async function over a list with only a few calls in flight at a time.
+ * @param {Array} items - The items, started in order.
+ * @param {number} limit - How many calls run at once.
+ * @param {function(*, number): Promise<*>} fn - Called with (item, index); should handle its own errors.
+ * @param {function(number, number)} [onProgress] - Called with (done, total) as calls finish.
+ * @returns {Promise<Array>} - fn's results, in the order of items.
+ */
+async function mapWithConcurrency(items, limit, fn, onProgress = () => {}) {
+    const results = new Array(items.length);
+    let nextIndex = 0;
+    let doneCount = 0;
+
+    const worker = async () => {
+        while (nextIndex < items.length) {
+            const index = nextIndex++;
+            results[index] = await fn(items[index], index);
+            doneCount++;
+            onProgress(doneCount, items.length);
+        }
+    };
+
+    await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker));
+    return results;
+}
+
+/**
+ * Downloads the raw markdown for a note through its temporary API download link.
+ * A copy is kept in IndexedDB, so notes that have been opened before can be read offline.
+ * @param {string} collection - The notes collection.
+ * @param {string} docId - The note's document id.
+ * @returns {Promise<string>} - The raw markdown, including front matter.
+ */
+async function downloadNoteMarkdown(collection, docId) {
+    try {
+        // 1. Get the temporary download link from our API
+        const { download_url } = await fetchJson(`/notes/${collection}/${docId}/download-link`);
+
+        // 2. Fetch the raw .md file content from the link
+        const fileResponse = await fetch(download_url);
+        if (!fileResponse.ok) throw createHttpError(fileResponse.status);
+        const mdContent = await fileResponse.text();
+
+        // 3. Keep a copy for offline reading
+        dbRequest('markdown', 'readwrite', store => store.put({ docId, content: mdContent, cachedAt: Date.now() }))
+            .catch(error => console.error('Error caching editorial markdown:', error));
+        return mdContent;
+    } catch (error) {
+        if (!isServerUnreachable(error)) throw error;
+        const cached = await dbRequest('markdown', 'readonly', store => store.get(docId)).catch(() => undefined);
+        if (!cached) throw error;
+        return cached.content;
+    }
+}
+
+/**
+ * Reads the tags from a note's front matter, written either as a YAML list or as one
+ * comma-separated string (tags: polity, economy).
+ * @param {*} value - The front matter's tags field.
+ * @returns {string[]} - Trimmed, without blanks or repeats.
+ */
+function parseNoteTags(value) {
+    if (value === undefined || value === null) return [];
+    const tags = Array.isArray(value) ? value : String(value).split(',');
+    return [...new Set(tags.map(tag => String(tag ?? '').trim()).filter(Boolean))];
+}
+
+/**
+ * Builds the subject, source and tag line shown above a note. Front matter is untrusted,
+ * so every value is escaped.
+ * @param {object} data - The note's front matter.
+ * @returns {string} - HTML.
+ */
+function buildNoteMetaHtml(data) {
+    let metaHTML = '';
+    if (data.subject) metaHTML += `<span><strong>Subject:</strong> ${escapeHtml(data.subject)}</span>`;
+    if (data.source) metaHTML += `<span><strong>Source:</strong> ${escapeHtml(data.source)}</span>`;
+    parseNoteTags(data.tags).forEach(tag => metaHTML += `<span class="modal-tag">${escapeHtml(tag)}</span>`);
+    return metaHTML;
+}
+
+/**
+ * Turns an editorial's stored filename into a readable title.
+ * @param {object} editorial - The editorial object from the API.
+ * @returns {string} - e.g. "India China Relations" for "India_China_Relations.md".
+ */
+function formatEditorialTitle(editorial) {
+    return editorial.original_filename.replaceAll('_', ' ').replace('.md', '');
+}
+
+/**
+ * Escapes a value so it can be safely interpolated into HTML.
+ * @param {*} value - Any value; null and undefined become an empty string.
+ * @returns {string} - The HTML-escaped string.
+ */
+function escapeHtml(value) {
+    return String(value ?? '')
+        .replaceAll('&', '&amp;')
+        .replaceAll('<', '&lt;')
+        .replaceAll('>', '&gt;')
+        .replaceAll('"', '&quot;')
+        .replaceAll("'", '&#39;');
+}
+
+// How much a match in each field counts towards a search result's rank
+const SEARCH_FIELD_WEIGHTS = { title: 10, tags: 6, subject: 5, source: 3, body: 1 };
+
+/**
+ * Splits text into lowercase search terms.
+ * @param {string} text - The text to tokenize.
+ * @returns {string[]} - The terms, in order of appearance.
+ */
+function tokenize(text) {
+    return String(text ?? '').toLowerCase().match(/[\p{L}\p{N}]+/gu) || [];
+}
+
+/**
+ * Creates an empty inverted index for searching editorials.
+ * @returns {{docs: Map, terms: Map}} - docs maps id to indexed fields, terms maps term to (id -> weight).
+ */
+function createSearchIndex() {
+    return { docs: new Map(), terms: new Map() };
+}
+
+/**
+ * Adds (or re-adds) an editorial to the search index.
+ * The title is always indexed; front matter and body are indexed once the markdown is downloaded.
+ * @param {object} index - The index from createSearchIndex().
+ * @param {object} editorial - The editorial object from the API.
+ * @param {object} [frontMatter] - Parsed front matter (subject, source, tags).
+ * @param {string} [body] - The markdown body, without front matter.
+ */
+function indexEditorial(index, editorial, frontMatter = {}, body = '') {
+    const tags = parseNoteTags(frontMatter.tags);
+    const fields = {
+        title: formatEditorialTitle(editorial),
+        // YAML can hand back numbers and dates, e.g. source: 2024
+        subject: String(frontMatter.subject ?? ''),
+        source: String(frontMatter.source ?? ''),
+        tags: tags.join(' '),
+        body
+    };
+
+    // Drop any postings from a previous pass over this document
+    const previous = index.docs.get(editorial.id);
+    if (previous) {
+        previous.terms.forEach(term => {
+            const postings = index.terms.get(term);
+            postings.delete(editorial.id);
+            if (postings.size === 0) index.terms.delete(term);
+        });
+    }
+
+    const docTerms = new Set();
+    Object.entries(fields).forEach(([field, text]) => {
+        tokenize(text).forEach(term => {
+            if (!index.terms.has(term)) index.terms.set(term, new Map());
+            const postings = index.terms.get(term);
+            postings.set(editorial.id, (postings.get(editorial.id) || 0) + SEARCH_FIELD_WEIGHTS[field]);
+            docTerms.add(term);
+        });
+    });
+
+    index.docs.set(editorial.id, { editorial, fields, tags, terms: docTerms });
+}
+
+/**
+ * Runs a query against the search index.
+ * Every query term must match (exactly or as a prefix); results are ranked by weighted term frequency.
+ * @param {object} index - The index from createSearchIndex().
+ * @param {string} query - The raw query typed by the user.
+ * @param {object} filters - { readStatus: 'all'|'read'|'unread', from: Date|null, to: Date|null }.
+ * @returns {Array<{editorial: object, fields: object, tags: string[], score: number}>} - Matches, best first.
+ */
+function searchEditorials(index, query, filters) {
+    const queryTerms = [...new Set(tokenize(query))];
+    let scores = null; // id -> score, null until the first term narrows it down
+
+    queryTerms.forEach(queryTerm => {
+        const termScores = new Map();
+        index.terms.forEach((postings, term) => {
+            if (!term.startsWith(queryTerm)) return;
+            // Exact matches rank above prefix matches
+            const factor = term === queryTerm ? 1 : 0.5;
+            postings.forEach((weight, id) => termScores.set(id, (termScores.get(id) || 0) + weight * factor));
+        });
+
+        if (scores === null) {
+            scores = termScores;
+        } else {
+            scores.forEach((score, id) => {
+                if (termScores.has(id)) scores.set(id, score + termScores.get(id));
+                else scores.delete(id);
+            });
+        }
+    });
+
+    // With no query terms, every document matches the filters equally
+    if (scores === null) scores = new Map([...index.docs.keys()].map(id => [id, 0]));
+
+    return [...scores.entries()]
+        .map(([id, score]) => ({ ...index.docs.get(id), score }))
+        .filter(({ editorial }) => {
+            if (filters.readStatus === 'read' && !editorial.is_read) return false;
+            if (filters.readStatus === 'unread' && editorial.is_read) return false;
+            const date = new Date(editorial.date);
+            if (filters.from && date < filters.from) return false;
+            if (filters.to && date > filters.to) return false;
+            return true;
+        })
+        .sort((a, b) => b.score - a.score || new Date(b.editorial.date) - new Date(a.editorial.date));
+}
+
+/**
+ * Escapes text and wraps every word starting with a query term in a <mark>.
+ * @param {string} text - The plain text to highlight.
+ * @param {string} query - The raw query typed by the user.
+ * @returns {string} - Safe HTML with highlighted matches.
+ */
+function highlightMatches(text, query) {
+    const queryTerms = [...new Set(tokenize(query))];
+    if (queryTerms.length === 0) return escapeHtml(text);
+
+    const escapedTerms = queryTerms.map(term => term.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'));
+    const pattern = new RegExp(`(?<![\\p{L}\\p{N}])(${escapedTerms.join('|')})[\\p{L}\\p{N}]*`, 'giu');
+
+    let html = '';
+    let lastIndex = 0;
+    for (const match of String(text).matchAll(pattern)) {
+        html += escapeHtml(text.slice(lastIndex, match.index));
+        html += `<mark>${escapeHtml(match[0])}</mark>`;
+        lastIndex = match.index + match[0].length;
+    }
+    return html + escapeHtml(text.slice(lastIndex));
+}
+
+/**
+ * Picks a short excerpt of the body around the first query match.
+ * @param {string} body - The markdown body.
+ * @param {string} query - The raw query typed by the user.
+ * @param {number} [radius=80] - Characters to keep on either side of the match.
+ * @returns {string} - The excerpt as plain text (empty if nothing matched).
+ */
+function buildSearchSnippet(body, query, radius = 80) {
+    const text = body.replace(/[#>*_`\[\]]/g, '').replace(/\s+/g, ' ');
+    const lowerText = text.toLowerCase();
+    const positions = tokenize(query)
+        .map(term => lowerText.search(new RegExp(`(?<![\\p{L}\\p{N}])${term}`, 'u')))
+        .filter(position => position >= 0);
+    if (positions.length === 0) return '';
+
+    const start = Math.max(0, Math.min(...positions) - radius);
+    const end = Math.min(text.length, Math.min(...positions) + radius);
+    return `${start > 0 ? '…' : ''}${text.slice(start, end).trim()}${end < text.length ? '…' : ''}`;
+}
+
+
+
+// --- Markdown rendering: sanitized HTML with contents, footnotes, callouts and scrolling tables ---
+
+// Callout types, for GitHub-style "> [!NOTE]" quotes and ":::note" fences, with their default titles
+const CALLOUT_TYPES = {
+    note: 'Note',
+    tip: 'Tip',
+    important: 'Important',
+    warning: 'Warning',
+    caution: 'Caution'
+};
+
+// Prefix for ids generated inside rendered notes, so they can't collide with the page's own
+const MARKDOWN_ID_PREFIX = 'md-';
+
+/**
+ * Renders a note's markdown to sanitized HTML. Marked output is passed through DOMPurify
+ * before anything else touches it; the later steps only add markup built here.
+ * @param {string} markdown - The note body, without front matter.
+ * @returns {{body: DocumentFragment, headings: Array<{level: number, text: string, id: string}>}}
+ */
+function renderMarkdown(markdown) {
+    // 1. Pull out footnotes and rewrite ::: fences, neither of which marked knows about
+    const { text, footnotes } = extractFootnotes(markdown);
+    const source = convertAdmonitionFences(text);
+
+    // 2. Parse and sanitize
+    const template = document.createElement('template');
+    template.innerHTML = DOMPurify.sanitize(marked.parse(source) + renderFootnotes(footnotes));
+    const body = template.content;
+
+    // 3. Callouts, scrollable tables and heading ids for the contents
+    body.querySelectorAll('blockquote').forEach(convertCallout);
+    body.querySelectorAll('table').forEach(table => {
+        const wrapper = document.createElement('div');
+        wrapper.className = 'table-scroll';
+        table.replaceWith(wrapper);
+        wrapper.appendChild(table);
+    });
+
+    const usedIds = new Set();
+    const headings = [...body.querySelectorAll('h1, h2, h3')].map(heading => {
+        const slug = tokenize(heading.textContent).join('-') || 'section';
+        let id = `${MARKDOWN_ID_PREFIX}${slug}`;
+        for (let count = 2; usedIds.has(id); count++) id = `${MARKDOWN_ID_PREFIX}${slug}-${count}`;
+        usedIds.add(id);
+        heading.id = id;
+        return { level: Number(heading.tagName[1]), text: heading.textContent, id };
+    });
+
+    // 4. Links out of the note open in a new tab
+    body.querySelectorAll('a[href]:not([href^="#"])').forEach(link => {
+        link.target = '_blank';
+        link.rel = 'noopener noreferrer';
+    });
+
+    return { body, headings };
+}
+
+/**
+ * Removes footnote definitions ("[^id]: text") from markdown and turns references ("[^id]")
+ * into numbered links. Indented lines after a definition continue it.
+ * @param {string} markdown
+ * @returns {{text: string, footnotes: Array<{id: string, number: number, text: string}>}}
+ */
+function extractFootnotes(markdown) {
+    const definitions = new Map();
+    const lines = [];
+    let currentId = null;
+
+    markdown.split('\n').forEach(line => {
+        const definition = line.match(/^\[\^([^\]\s]+)\]:\s*(.*)$/);
+        if (definition) {
+            currentId = definition[1];
+            definitions.set(currentId, definition[2]);
+        } else if (currentId && /^( {2,}|\t)\S/.test(line)) {
+            definitions.set(currentId, `${definitions.get(currentId)} ${line.trim()}`);
+        } else {
+            currentId = null;
+            lines.push(line);
+        }
+    });
+
+    // Number footnotes in the order they're first referenced
+    const numbers = new Map();
+    const text = lines.join('\n').replace(/\[\^([^\]\s]+)\]/g, (match, id) => {
+        if (!definitions.has(id)) return match;
+        if (!numbers.has(id)) numbers.set(id, numbers.size + 1);
+        const anchor = encodeURIComponent(id);
+        return `<sup class="footnote-ref"><a href="#${MARKDOWN_ID_PREFIX}fn-${anchor}" id="${MARKDOWN_ID_PREFIX}fnref-${anchor}">${numbers.get(id)}</a></sup>`;
+    });
+
+    const footnotes = [...numbers].map(([id, number]) => ({ id, number, text: definitions.get(id) }));
+    return { text, footnotes };
+}
+
+/**
+ * Renders the footnotes list that goes at the end of a note.
+ * @param {Array<{id: string, number: number, text: string}>} footnotes
+ * @returns {string} - HTML, still to be sanitized.
+ */
+function renderFootnotes(footnotes) {
+    if (footnotes.length === 0) return '';
+    const items = footnotes.map(({ id, text }) => {
+        const anchor = encodeURIComponent(id);
+        return `<li id="${MARKDOWN_ID_PREFIX}fn-${anchor}">${marked.parseInline(text)} <a href="#${MARKDOWN_ID_PREFIX}fnref-${anchor}" class="footnote-back" aria-label="Back to reference">↩</a></li>`;
+    });
+    return `<section class="footnotes"><hr><ol>${items.join('')}</ol></section>`;
+}
+
+/**
+ * Rewrites ":::type Title ... :::" fences as "> [!TYPE] Title" quotes, so both callout
+ * syntaxes go through the same conversion.
+ * @param {string} markdown
+ * @returns {string}
+ */
+function convertAdmonitionFences(markdown) {
+    let isInFence = false;
+    return markdown.split('\n').map(line => {
+        const opening = !isInFence && line.match(/^:::\s*(\w+)\s*(.*)$/);
+        if (opening) {
+            isInFence = true;
+            return `> [!${opening[1].toUpperCase()}] ${opening[2]}`.trimEnd();
+        }
+        if (isInFence && /^:::\s*$/.test(line)) {
+            isInFence = false;
+            return '';
+        }
+        return isInFence ? `> ${line}` : line;
+    }).join('\n');
+}
+
+/**
+ * Turns a blockquote that starts with "[!TYPE] optional title" into a callout box.
+ * Other blockquotes are left alone.
+ * @param {HTMLQuoteElement} blockquote
+ */
+function convertCallout(blockquote) {
+    const firstParagraph = blockquote.firstElementChild;
+    const firstText = firstParagraph?.tagName === 'P' ? firstParagraph.firstChild : null;
+    const marker = firstText?.nodeType === Node.TEXT_NODE && firstText.data.match(/^\[!(\w+)\][ \t]*([^\n]*)\n?/);
+    if (!marker) return;
+
+    const type = marker[1].toLowerCase();
+    firstText.data = firstText.data.slice(marker[0].length);
+    if (!firstParagraph.textContent.trim() && !firstParagraph.querySelector('img')) firstParagraph.remove();
+
+    const callout = document.createElement('div');
+    callout.className = `callout callout--${CALLOUT_TYPES[type] ? type : 'note'}`;
+    const title = document.createElement('p');
+    title.className = 'callout-title';
+    title.textContent = marker[2].trim() || CALLOUT_TYPES[type] || type.charAt(0).toUpperCase() + type.slice(1);
+    callout.append(title, ...blockquote.childNodes);
+    blockquote.replaceWith(callout);
+}
+
+/**
+ * Builds the contents list for a note's headings. Short notes don't get one.
+ * @param {Array<{level: number, text: string, id: string}>} headings
+ * @returns {string} - HTML, or an empty string.
+ */
+function renderTableOfContents(headings) {
+    if (headings.length < 3) return '';
+    const topLevel = Math.min(...headings.map(heading => heading.level));
+    const items = headings.map(heading => `
+        <li class="toc-level-${heading.level - topLevel}"><a href="#${heading.id}">${escapeHtml(heading.text)}</a></li>
+    `).join('');
+    return `<p class="modal-toc-title">Contents</p><ul>${items}</ul>`;
+}
+
+// --- Highlights: text quotes saved from the editorial modal ---
+
+// How much surrounding text is kept with each highlight to find it again
+const HIGHLIGHT_CONTEXT_LENGTH = 32;
+
+let highlights = [];
+
+/**
+ * Reads saved highlights from IndexedDB.
+ * @returns {Promise<object[]>}
+ */
+async function loadHighlights() {
+    try {
+        return await dbRequest('highlights', 'readonly', store => store.getAll());
+    } catch (error) {
+        console.error('Error loading highlights:', error);
+        return [];
+    }
+}
+
+/**
+ * Stores a new highlight.
+ * @param {object} highlight
+ * @throws If it couldn't be stored; it's then left out of the highlights list.
+ */
+async function saveHighlight(highlight) {
+    await dbRequest('highlights', 'readwrite', store => store.put(highlight));
+    highlights.push(highlight);
+}
+
+/**
+ * Removes a highlight.
+ * @param {string} highlightId
+ */
+async function deleteHighlight(highlightId) {
+    try {
+        await dbRequest('highlights', 'readwrite', store => store.delete(highlightId));
+    } catch (error) {
+        console.error('Error deleting highlight:', error);
+    }
+    highlights = highlights.filter(highlight => highlight.highlightId !== highlightId);
+}
+
+/**
+ * Describes a stretch of text by its content and surroundings rather than only its position,
+ * so it can still be found when the text around it changes.
+ * @param {string} text - The full rendered text.
+ * @param {number} start - Start offset of the selection.
+ * @param {number} end - End offset of the selection.
+ * @returns {{exact: string, prefix: string, suffix: string, start: number}}
+ */
+function createTextQuote(text, start, end) {
+    return {
+        exact: text.slice(start, end),
+        prefix: text.slice(Math.max(0, start - HIGHLIGHT_CONTEXT_LENGTH), start),
+        suffix: text.slice(end, end + HIGHLIGHT_CONTEXT_LENGTH),
+        start
+    };
+}
+
+/**
+ * Finds a text quote again. Every exact match is scored by how much of its surroundings
+ * still agree; if the quote itself was edited, the text between its old prefix and suffix is used.
+ * @param {string} text - The full rendered text.
+ * @param {object} quote - From createTextQuote().
+ * @returns {{start: number, end: number}|null} - Null when the quote can't be placed.
+ */
+function locateTextQuote(text, quote) {
+    const { exact, prefix, suffix } = quote;
+
+    // Number of matching characters walking away from the quote
+    const agreeingChars = (a, b) => {
+        let count = 0;
+        while (count < a.length && count < b.length && a[count] === b[count]) count++;
+        return count;
+    };
+    const reverse = value => [...value].reverse().join('');
+
+    let best = null;
+    for (let index = text.indexOf(exact); exact && index !== -1; index = text.indexOf(exact, index + 1)) {
+        const score = agreeingChars(reverse(text.slice(Math.max(0, index - prefix.length), index)), reverse(prefix))
+            + agreeingChars(text.slice(index + exact.length, index + exact.length + suffix.length), suffix)
+            - Math.abs(index - quote.start) / text.length; // Breaks ties in favour of the old position
+        if (!best || score > best.score) best = { start: index, end: index + exact.length, score };
+    }
+    if (best) return { start: best.start, end: best.end };
+
+    // The quote was reworded: accept a similar-sized gap between the text just before and just after it
+    const before = prefix.slice(-HIGHLIGHT_CONTEXT_LENGTH / 2);
+    const after = suffix.slice(0, HIGHLIGHT_CONTEXT_LENGTH / 2);
+    if (!before || !after) return null;
+    for (let index = text.indexOf(before); index !== -1; index = text.indexOf(before, index + 1)) {
+        const start = index + before.length;
+        const end = text.indexOf(after, start);
+        if (end !== -1 && Math.abs((end - start) - exact.length) <= Math.max(20, exact.length * 0.5)) {
+            return { start, end };
+        }
+    }
+    return null;
+}
+
+/**
+ * Wraps the text between two offsets in <mark> elements, one per text node it crosses.
+ * @param {HTMLElement} container - The element whose text the offsets refer to.
+ * @param {number} start - Start offset into container.textContent.
+ * @param {number} end - End offset into container.textContent.
+ * @param {object} highlight - The highlight being shown.
+ */
+function wrapTextRange(container, start, end, highlight) {
+    const walker = document.createTreeWalker(container, NodeFilter.SHOW_TEXT);
+    const segments = [];
+    let offset = 0;
+
+    // 1. Collect the parts of each text node inside the range (the DOM changes once we start wrapping)
+    for (let node = walker.nextNode(); node; node = walker.nextNode()) {
+        const nodeEnd = offset + node.data.length;
+        if (nodeEnd > start && offset < end) {
+            segments.push({ node, from: Math.max(start - offset, 0), to: Math.min(end - offset, node.data.length) });
+        }
+        offset = nodeEnd;
+        if (offset >= end) break;
+    }
+
+    // 2. Split each node around its part and wrap it
+    segments.forEach(({ node, from, to }) => {
+        if (to <= from || !node.data.slice(from, to).trim()) return;
+        const target = node.splitText(from);
+        target.splitText(to - from);
+
+        const mark = document.createElement('mark');
+        mark.className = 'user-highlight';
+        mark.dataset.highlightId = highlight.highlightId;
+        mark.title = [highlight.tag && `#${highlight.tag}`, highlight.note].filter(Boolean).join(' ');
+        target.replaceWith(mark);
+        mark.appendChild(target);
+    });
+}
+
+/**
+ * Builds one markdown document of highlights for revision, grouped by editorial.
+ * @param {object[]} sectionHighlights - Highlights in reading order.
+ * @param {string} sectionTitle - The section they come from.
+ * @returns {string}
+ */
+function buildHighlightsMarkdown(sectionHighlights, sectionTitle) {
+    const byEditorial = new Map();
+    sectionHighlights.forEach(highlight => {
+        if (!byEditorial.has(highlight.docId)) byEditorial.set(highlight.docId, []);
+        byEditorial.get(highlight.docId).push(highlight);
+    });
+
+    const sections = [...byEditorial.values()].map(group => {
+        const { title, subject, source, date } = group[0];
+        const meta = [new Date(date).toLocaleDateString('en-GB', { day: 'numeric', month: 'long', year: 'numeric' }), subject, source]
+            .filter(Boolean)
+            .join(' · ');
+        const entries = group.map(highlight => {
+            const quote = highlight.exact.trim().split('\n').map(line => `> ${line}`).join('\n');
+            const details = [highlight.tag && `\`#${highlight.tag}\``, highlight.note].filter(Boolean).join(' ');
+            return details ? `${quote}\n\n${details}` : quote;
+        });
+        return `## ${title}\n\n*${meta}*\n\n${entries.join('\n\n')}`;
+    });
+
+    return `# My Highlights: ${sectionTitle}\n\n${sections.join('\n\n---\n\n')}\n`;
+}
+
+// --- Accounts: login, profiles for each study partner, and the token sent with API requests ---
+
+// Preferences shared by every profile: the profiles themselves and what's needed to log in
+const SHARED_PREFERENCES = ['profiles', 'activeProfileId', 'apiBaseUrl'];
+
+// Object stores holding what someone has done on the dashboard (rather than cached API data),
+// copied into a new profile when it adopts the guest's data
+const PROFILE_DATA_STORES = ['manualTests', 'readHistory', 'answerAttempts', 'highlights', 'revisions', 'focusSessions', 'localFiles', 'noteMetadata'];
+
+/**
+ * Lists the profiles that have logged in on this browser.
+ * @returns {Array<{id: string, name: string, username: string, token: string}>}
+ */
+function getProfiles() {
+    return loadPreference('profiles', []);
+}
+
+/**
+ * Finds the profile in use. Without one, the dashboard works as a guest with anonymous requests.
+ * @returns {object|null}
+ */
+function getActiveProfile() {
+    const activeId = loadPreference('activeProfileId', null);
+    return getProfiles().find(profile => profile.id === activeId) || null;
+}
+
+/**
+ * Names the IndexedDB database for the active profile, so read history, mock scores, highlights
+ * and queued changes stay with the person who made them. Guests keep the original database.
+ * @returns {string}
+ */
+function getDatabaseName() {
+    const profile = getActiveProfile();
+    return profile ? `${DB_NAME}:${profile.id}` : DB_NAME;
+}
+
+/**
+ * Switches to another profile (or to the guest with null). The page reloads, since everything
+ * on it belongs to the previous profile.
+ * @param {?string} profileId
+ */
+function switchProfile(profileId) {
+    savePreference('activeProfileId', profileId);
+    location.reload();
+}
+
+/**
+ * Logs in against the API and saves or refreshes the profile.
+ * @param {string} username
+ * @param {string} password
+ * @returns {Promise<{profile: object, isNew: boolean}>} - isNew when it hasn't logged in on this browser before.
+ */
+async function logIn(username, password) {
+    const response = await fetch(`${getApiBaseUrl()}/auth/login`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ username, password })
+    });
+    if (!response.ok) throw createHttpError(response.status);
+    const { token, user = {} } = await response.json();
+    if (!token) throw new Error('The login response had no token');
+
+    const profile = { id: String(user.id || username), name: user.name || username, username, token };
+    const isNew = !getProfiles().some(p => p.id === profile.id);
+    savePreference('profiles', [...getProfiles().filter(p => p.id !== profile.id), profile]);
+    return { profile, isNew };
+}
+
+/**
+ * Lists the guest's preference names, i.e. everything saved before anyone logged in.
+ * @returns {string[]}
+ */
+function getGuestPreferenceKeys() {
+    return Object.keys(localStorage)
+        .filter(storageKey => storageKey.startsWith('athena.') && !storageKey.startsWith('athena.user:'))
+        .map(storageKey => storageKey.slice('athena.'.length))
+        .filter(key => !SHARED_PREFERENCES.includes(key));
+}
+
+/**
+ * Opens a profile's database by name, leaving the active profile's connection alone.
+ * @param {string} name - From getDatabaseName(), or built the same way.
+ * @returns {Promise<IDBDatabase>}
+ */
+function openProfileDatabase(name) {
+    return new Promise((resolve, reject) => {
+        const request = indexedDB.open(name, DB_VERSION);
+        request.onupgradeneeded = () => createObjectStores(request.result);
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+/**
+ * Checks whether the guest has settings or saved data a new profile could take over.
+ * @returns {Promise<boolean>}
+ */
+async function hasGuestData() {
+    if (getGuestPreferenceKeys().length > 0) return true;
+    const db = await openProfileDatabase(DB_NAME);
+    try {
+        const counts = await Promise.all(PROFILE_DATA_STORES.map(storeName => new Promise((resolve, reject) => {
+            const request = db.transaction(storeName, 'readonly').objectStore(storeName).count();
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        })));
+        return counts.some(count => count > 0);
+    } finally {
+        db.close();
+    }
+}
+
+/**
+ * Copies the guest's settings and saved data into a profile. The guest keeps its own copy.
+ * @param {string} profileId - The profile taking the data over.
+ */
+async function adoptGuestData(profileId) {
+    // 1. Settings, from athena.<key> to athena.user:<id>.<key>
+    getGuestPreferenceKeys().forEach(key => {
+        localStorage.setItem(`athena.user:${profileId}.${key}`, localStorage.getItem(`athena.${key}`));
+    });
+
+    // 2. Records, store by store in one transaction each
+    const guestDb = await openProfileDatabase(DB_NAME);
+    const profileDb = await openProfileDatabase(`${DB_NAME}:${profileId}`);
+    try {
+        for (const storeName of PROFILE_DATA_STORES) {
+            const records = await new Promise((resolve, reject) => {
+                const request = guestDb.transaction(storeName, 'readonly').objectStore(storeName).getAll();
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+            });
+            if (records.length === 0) continue;
+            await new Promise((resolve, reject) => {
+                const transaction = profileDb.transaction(storeName, 'readwrite');
+                records.forEach(record => transaction.objectStore(storeName).put(record));
+                transaction.oncomplete = () => resolve();
+                transaction.onerror = () => reject(transaction.error);
+            });
+        }
+    } finally {
+        guestDb.close();
+        profileDb.close();
+    }
+}
+
+/**
+ * Asks a profile logging in here for the first time whether to take over the guest's data,
+ * which would otherwise stay behind under Guest.
+ * @param {object} profile - The new profile.
+ */
+function showAdoptGuestData(profile) {
+    const loginModal = document.getElementById('login-modal');
+    const adoptPanel = loginModal.querySelector('.login-adopt');
+    adoptPanel.querySelector('.settings-help').textContent = `Welcome, ${profile.name}. This browser has settings, scores, `
+        + 'highlights and reading history saved as Guest. Bring a copy into your profile, or start with an empty one? '
+        + 'Either way, Guest keeps its data.';
+    adoptPanel.querySelector('.settings-error').textContent = '';
+    adoptPanel.dataset.profileId = profile.id;
+    document.getElementById('login-form').hidden = true;
+    loginModal.querySelector('.login-message').textContent = '';
+    adoptPanel.hidden = false;
+}
+
+/**
+ * Logs the active profile out: forgets its token and goes back to the guest. Its data stays
+ * on this browser for the next time it logs in.
+ */
+function logOut() {
+    const profile = getActiveProfile();
+    if (!profile) return;
+    savePreference('profiles', getProfiles().filter(p => p.id !== profile.id));
+    switchProfile(null);
+}
+
+/**
+ * Opens the login form, e.g. when the API turns a request away with a 401.
+ * @param {string} [message] - Why we're asking.
+ */
+function promptLogin(message = '') {
+    const loginModal = document.getElementById('login-modal');
+    if (!loginModal || loginModal.classList.contains('visible')) return;
+
+    const form = document.getElementById('login-form');
+    form.reset();
+    form.hidden = false;
+    loginModal.querySelector('.login-adopt').hidden = true;
+    form.elements.username.value = getActiveProfile()?.username || '';
+    loginModal.querySelector('.login-message').textContent = message;
+    form.querySelector('.settings-error').textContent = '';
+    loginModal.classList.add('visible');
+    (form.elements.username.value ? form.elements.password : form.elements.username).focus();
+}
+
+/**
+ * Renders the profile switcher in the welcome header.
+ */
+function displayProfileSwitcher() {
+    const switcher = document.getElementById('profile-switcher');
+    if (!switcher) return;
+
+    const activeProfile = getActiveProfile();
+    switcher.innerHTML = `
+        <select class="search-filter profile-select" title="Switch profile">
+            <option value="" ${activeProfile ? '' : 'selected'}>Guest</option>
+            ${getProfiles().map(profile => `
+                <option value="${escapeHtml(profile.id)}" ${profile === activeProfile ? 'selected' : ''}>${escapeHtml(profile.name)}</option>
+            `).join('')}
+            <option value="login">+ Log in...</option>
+        </select>
+        ${activeProfile ? '<button class="settings-button btn-log-out">Log out</button>' : ''}
+    `;
+}
+
+/**
+ * Sets up the profile switcher and the login form.
+ */
+function setupAccounts() {
+    displayProfileSwitcher();
+
+    const switcher = document.getElementById('profile-switcher');
+    switcher?.addEventListener('change', (event) => {
+        if (!event.target.classList.contains('profile-select')) return;
+        if (event.target.value === 'login') {
+            // Put the switcher back; it only changes once the login succeeds
+            displayProfileSwitcher();
+            promptLogin();
+        } else {
+            switchProfile(event.target.value || null);
+        }
+    });
+    switcher?.addEventListener('click', (event) => {
+        if (event.target.classList.contains('btn-log-out')) logOut();
+    });
+
+    const loginModal = document.getElementById('login-modal');
+    if (!loginModal) return;
+
+    loginModal.addEventListener('click', async (event) => {
+        const adoptPanel = loginModal.querySelector('.login-adopt');
+        if (event.target.classList.contains('btn-adopt-guest')) {
+            adoptPanel.querySelectorAll('button').forEach(button => button.disabled = true);
+            try {
+                await adoptGuestData(adoptPanel.dataset.profileId);
+                switchProfile(adoptPanel.dataset.profileId);
+            } catch (error) {
+                console.error('Error copying guest data:', error);
+                adoptPanel.querySelector('.settings-error').textContent = "Couldn't copy everything. Try again, or start fresh.";
+                adoptPanel.querySelectorAll('button').forEach(button => button.disabled = false);
+            }
+        } else if (event.target.classList.contains('btn-start-fresh')) {
+            switchProfile(adoptPanel.dataset.profileId);
+        } else if (!adoptPanel.hidden && (event.target === loginModal || event.target.classList.contains('modal-close-btn'))) {
+            // The login already succeeded; closing only skips the question
+            switchProfile(adoptPanel.dataset.profileId);
+        } else if (event.target === loginModal || event.target.classList.contains('modal-close-btn')) {
+            loginModal.classList.remove('visible');
+        }
+    });
+
+    document.getElementById('login-form').addEventListener('submit', async (event) => {
+        event.preventDefault();
+        const form = event.target;
+        const username = form.elements.username.value.trim();
+        const password = form.elements.password.value;
+        const errorElement = form.querySelector('.settings-error');
+        const submitButton = form.querySelector('button[type="submit"]');
+
+        if (!username || !password) {
+            errorElement.textContent = 'Enter your username and password.';
+            return;
+        }
+
+        submitButton.disabled = true;
+        errorElement.textContent = '';
+        try {
+            const { profile, isNew } = await logIn(username, password);
+            if (isNew && await hasGuestData()) {
+                submitButton.disabled = false;
+                showAdoptGuestData(profile);
+            } else {
+                switchProfile(profile.id);
+            }
+        } catch (error) {
+            console.error('Error logging in:', error);
+            errorElement.textContent = error.status === 401 || error.status === 403
+                ? 'That username and password did not match.'
+                : 'Could not log in. Please try again.';
+            submitButton.disabled = false;
+        }
+    });
+}
+
+
+// --- Offline data layer: IndexedDB cache and sync queue for the kenshin API ---
+
+const DB_NAME = 'athena';
+const DB_VERSION = 9;
+let databasePromise = null;
+
+// Whether the last request reached the API, and how many changes are waiting to be sent
+let isApiReachable = true;
+let pendingMutationCount = 0;
+let replayPromise = null;
+
+// Queued changes are retried on their own while the server stays out of reach, waiting a little
+// longer each time (starting at the base delay, doubling up to the max)
+const REPLAY_RETRY_BASE_DELAY = 5 * 1000;
+const REPLAY_RETRY_MAX_DELAY = 5 * 60 * 1000;
+let replayRetryTimer = null;
+let replayRetryDelay = REPLAY_RETRY_BASE_DELAY;
+
+// Queued changes the server rejected since the page loaded, shown until the indicator is clicked
+let droppedMutationCount = 0;
+
+/**
+ * Opens (and on first use, creates) the IndexedDB database used for offline data.
+ * @returns {Promise<IDBDatabase>}
+ */
+function openDatabase() {
+    if (!databasePromise) {
+        databasePromise = new Promise((resolve, reject) => {
+            const request = indexedDB.open(getDatabaseName(), DB_VERSION);
+            request.onupgradeneeded = () => createObjectStores(request.result);
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+    return databasePromise;
+}
+
+/**
+ * Creates any object stores a profile's database doesn't have yet.
+ * @param {IDBDatabase} db - The database being upgraded.
+ */
+function createObjectStores(db) {
+    // Last good JSON response for each API path
+    if (!db.objectStoreNames.contains('responses')) db.createObjectStore('responses', { keyPath: 'path' });
+    // Downloaded editorial markdown
+    if (!db.objectStoreNames.contains('markdown')) db.createObjectStore('markdown', { keyPath: 'docId' });
+    // Writes waiting to be sent, one per method + path so only the latest change is kept
+    if (!db.objectStoreNames.contains('mutations')) db.createObjectStore('mutations', { keyPath: 'key' });
+    // Mock test scores entered or imported on the dashboard
+    if (!db.objectStoreNames.contains('manualTests')) db.createObjectStore('manualTests', { keyPath: 'manualId' });
+    // Every read/unread transition, for streaks and the activity heatmap
+    if (!db.objectStoreNames.contains('readHistory')) db.createObjectStore('readHistory', { keyPath: 'id', autoIncrement: true });
+    // Self-scored answer writing attempts
+    if (!db.objectStoreNames.contains('answerAttempts')) db.createObjectStore('answerAttempts', { keyPath: 'attemptId' });
+    // Text highlighted in the editorial modal, with notes and tags
+    if (!db.objectStoreNames.contains('highlights')) db.createObjectStore('highlights', { keyPath: 'highlightId' });
+    // Spaced-repetition schedule for read editorials, one entry per athena id
+    if (!db.objectStoreNames.contains('revisions')) db.createObjectStore('revisions', { keyPath: 'athenaId' });
+    // Markdown and JSON files from the local folder data source, keyed by relative path
+    if (!db.objectStoreNames.contains('localFiles')) db.createObjectStore('localFiles', { keyPath: 'path' });
+    // Subject, source and tags from each note's front matter, for grouping the explorer
+    if (!db.objectStoreNames.contains('noteMetadata')) db.createObjectStore('noteMetadata', { keyPath: 'docId' });
+    // Completed focus timer sessions, tagged with the section studied
+    if (!db.objectStoreNames.contains('focusSessions')) db.createObjectStore('focusSessions', { keyPath: 'sessionId' });
+}
+
+/**
+ * Runs a single request against an object store and resolves with its result.
+ * @param {string} storeName - The object store to use.
+ * @param {'readonly'|'readwrite'} mode - The transaction mode.
+ * @param {function(IDBObjectStore): IDBRequest} operation - Builds the request, e.g. store => store.get(key).
+ * @returns {Promise<*>}
+ */
+async function dbRequest(storeName, mode, operation) {
+    const db = await openDatabase();
+    return new Promise((resolve, reject) => {
+        const request = operation(db.transaction(storeName, mode).objectStore(storeName));
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+/**
+ * Creates an Error for a non-OK HTTP response, keeping the status for callers to inspect.
+ * @param {number} status - The HTTP status code.
+ * @returns {Error}
+ */
+function createHttpError(status) {
+    const error = new Error(`HTTP error! Status: ${status}`);
+    error.status = status;
+    return error;
+}
+
+/**
+ * True when a request failed because the server couldn't be reached (network down,
+ * or the host returning a 5xx), as opposed to the server rejecting the request.
+ * @param {Error} error - The error thrown by fetch or by createHttpError.
+ * @returns {boolean}
+ */
+function isServerUnreachable(error) {
+    return error instanceof TypeError || error.status >= 500;
+}
+
+/**
+ * Returns the API base URL: the one set in Settings, or the kenshin API.
+ * @returns {string}
+ */
+function getApiBaseUrl() {
+    return loadPreference('apiBaseUrl', '') || DEFAULT_API_BASE_URL;
+}
+
+/**
+ * Fetches JSON from the kenshin API without any caching.
+ * @param {string} path - The API path, e.g. '/exams'.
+ * @param {object} [options] - Extra fetch options.
+ * @returns {Promise<*>} - The parsed JSON body.
+ */
+async function fetchJson(path, options = {}) {
+    // Signed-in requests carry the profile's token
+    const token = getActiveProfile()?.token;
+    const headers = token ? { ...options.headers, Authorization: `Bearer ${token}` } : options.headers;
+
+    let response;
+    try {
+        response = await fetch(`${getApiBaseUrl()}${path}`, { ...options, headers });
+    } catch (error) {
+        setApiReachable(false);
+        throw error;
+    }
+    setApiReachable(response.status < 500);
+    if (response.status === 401) promptLogin(token ? 'Your session has expired. Log in again to keep saving your progress.' : 'Log in to continue.');
+    if (!response.ok) throw createHttpError(response.status);
+    return response.json();
+}
+
+/**
+ * Fetches JSON from the kenshin API, falling back to the last cached copy when the
+ * server can't be reached. Successful responses refresh the cache.
+ * @param {string} path - The API path, e.g. '/exams'.
+ * @returns {Promise<*>} - The parsed JSON body, fresh or cached.
+ */
+async function fetchJsonWithCache(path) {
+    try {
+        const data = await fetchJson(path);
+        dbRequest('responses', 'readwrite', store => store.put({ path, data, cachedAt: Date.now() }))
+            .catch(error => console.error(`Error caching ${path}:`, error));
+        return data;
+    } catch (error) {
+        if (!isServerUnreachable(error)) throw error;
+        const cached = await dbRequest('responses', 'readonly', store => store.get(path)).catch(() => undefined);
+        if (!cached) throw error;
+        return cached.data;
+    }
+}
+
+/**
+ * Sends a write to the API. If the server can't be reached, or older writes are still
+ * waiting, the write is queued and replayed once the connection comes back.
+ * @param {string} path - The API path.
+ * @param {string} method - The HTTP method, e.g. 'PATCH'.
+ * @param {object} body - The JSON body.
+ * @returns {Promise<{queued: boolean}>} - Whether the write was queued instead of sent.
+ */
+async function sendMutation(path, method, body) {
+    const mutation = { key: `${method} ${path}`, path, method, body, queuedAt: Date.now() };
+
+    // Queued writes must reach the server first, or they would overwrite this one
+    if (pendingMutationCount === 0) {
+        try {
+            await performMutation(mutation);
+            return { queued: false };
+        } catch (error) {
+            if (!isServerUnreachable(error)) throw error;
+        }
+    }
+
+    await dbRequest('mutations', 'readwrite', store => store.put(mutation));
+    await refreshPendingCount();
+    replayPendingMutations();
+    return { queued: true };
+}
+
+/**
+ * Sends a single mutation to the API.
+ * @param {object} mutation - A mutation as stored in the queue.
+ */
+async function performMutation(mutation) {
+    await fetchJson(mutation.path, {
+        method: mutation.method,
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(mutation.body)
+    });
+}
+
+/**
+ * Sends every queued mutation, oldest first. Stops at the first one the server can't be
+ * reached for, and tries again after a backoff delay; drops any the server rejects outright,
+ * undoing them locally.
+ * @returns {Promise<void>}
+ */
+function replayPendingMutations() {
+    if (replayPromise) return replayPromise;
+
+    clearTimeout(replayRetryTimer);
+    replayRetryTimer = null;
+    let isWaitingForServer = false;
+
+    replayPromise = (async () => {
+        try {
+            const mutations = await dbRequest('mutations', 'readonly', store => store.getAll());
+            mutations.sort((a, b) => a.queuedAt - b.queuedAt);
+
+            for (const mutation of mutations) {
+                try {
+                    await performMutation(mutation);
+                } catch (error) {
+                    // Keep changes the server turned away for want of a login, to send once logged in again
+                    if (error.status === 401) break;
+                    if (isServerUnreachable(error)) {
+                        isWaitingForServer = true;
+                        break;
+                    }
+                    console.error(`Dropping rejected change ${mutation.key}:`, error);
+                    rollBackMutation(mutation);
+                }
+                // Only remove it if it wasn't replaced by a newer change while we were sending
+                const current = await dbRequest('mutations', 'readonly', store => store.get(mutation.key));
+                if (current && current.queuedAt === mutation.queuedAt) {
+                    await dbRequest('mutations', 'readwrite', store => store.delete(mutation.key));
+                }
+            }
+        } catch (error) {
+            console.error('Error replaying pending changes:', error);
+        } finally {
+            await refreshPendingCount();
+            replayPromise = null;
+            if (isWaitingForServer && pendingMutationCount > 0) {
+                replayRetryTimer = setTimeout(replayPendingMutations, replayRetryDelay);
+                replayRetryDelay = Math.min(replayRetryDelay * 2, REPLAY_RETRY_MAX_DELAY);
+            } else {
+                replayRetryDelay = REPLAY_RETRY_BASE_DELAY;
+            }
+        }
+    })();
+    return replayPromise;
+}
+
+/**
+ * Undoes a queued change the server rejected: the read history gets the opposite transition,
+ * and a mutationdropped event lets open views put the editorial back and say so.
+ * @param {object} mutation - The dropped mutation.
+ */
+function rollBackMutation(mutation) {
+    droppedMutationCount++;
+    updateSyncStatus();
+    if (!mutation.path.startsWith('/notes/status/')) return;
+
+    const athenaId = mutation.path.slice('/notes/status/'.length);
+    recordReadTransition(athenaId, !mutation.body.is_read);
+    document.dispatchEvent(new CustomEvent('mutationdropped', { detail: { athenaId, isRead: mutation.body.is_read } }));
+}
+
+/**
+ * Re-applies queued read-status changes to a freshly loaded editorial list.
+ * @param {Array} editorials - The editorials from the API (modified in place).
+ */
+async function applyPendingReadStatus(editorials) {
+    const mutations = await dbRequest('mutations', 'readonly', store => store.getAll()).catch(() => []);
+    mutations
+        .filter(m => m.path.startsWith('/notes/status/'))
+        .forEach(m => {
+            const athenaId = m.path.slice('/notes/status/'.length);
+            const editorial = editorials.find(e => e.athena_id === athenaId);
+            if (editorial) editorial.is_read = m.body.is_read;
+        });
+}
+
+/**
+ * Updates an editorial's read status on the server, and records the change in the read history.
+ * @param {string} athenaId - The editorial's athena id.
+ * @param {boolean} isRead - The new status.
+ * @returns {Promise<{queued: boolean}>}
+ */
+async function sendReadStatus(athenaId, isRead) {
+    const result = await sendMutation(`/notes/status/${athenaId}`, 'PATCH', { is_read: isRead });
+    recordReadTransition(athenaId, isRead);
+    return result;
+}
+
+/**
+ * Re-counts the queued mutations and refreshes the header indicator.
+ */
+async function refreshPendingCount() {
+    pendingMutationCount = await dbRequest('mutations', 'readonly', store => store.count()).catch(() => 0);
+    updateSyncStatus();
+}
+
+function setApiReachable(reachable) {
+    if (isApiReachable === reachable) return;
+    isApiReachable = reachable;
+    updateSyncStatus();
+}
+
+/**
+ * Shows "Offline", the number of pending changes and any rejected ones in the header.
+ * Hidden when all is well.
+ */
+function updateSyncStatus() {
+    const statusElement = document.getElementById('sync-status');
+    if (!statusElement) return;
+
+    const isOffline = !navigator.onLine || !isApiReachable;
+    const parts = [];
+    if (isOffline) parts.push('Offline');
+    if (pendingMutationCount > 0) {
+        parts.push(`${pendingMutationCount} pending change${pendingMutationCount === 1 ? '' : 's'}`);
+    }
+    if (droppedMutationCount > 0) {
+        parts.push(`${droppedMutationCount} change${droppedMutationCount === 1 ? '' : 's'} not saved`);
+    }
+
+    statusElement.textContent = parts.join(' · ');
+    statusElement.classList.toggle('sync-status--offline', isOffline || droppedMutationCount > 0);
+    statusElement.title = droppedMutationCount > 0 ? 'The server rejected changes made offline; they have been undone. Click to dismiss.' : '';
+}
+
+/**
+ * Sets up the header sync indicator and replays queued changes whenever we come back online.
+ */
+function setupSyncStatus() {
+    window.addEventListener('online', () => {
+        updateSyncStatus();
+        replayPendingMutations();
+    });
+    window.addEventListener('offline', updateSyncStatus);
+    document.getElementById('sync-status')?.addEventListener('click', () => {
+        droppedMutationCount = 0;
+        updateSyncStatus();
+    });
+
+    refreshPendingCount().then(() => {
+        if (pendingMutationCount > 0) replayPendingMutations();
+    });
+}
+
+// Largest number of editorials sent in a single bulk read-status request
+const READ_STATUS_BATCH_SIZE = 50;
+// Cleared once the API tells us it has no bulk endpoint, so we stop asking
+let isBulkStatusSupported = true;
+
+/**
+ * Updates the read status of many editorials in as few requests as possible.
+ * Sends batches to the bulk endpoint, and falls back to one request per editorial
+ * (queued when offline) for any batch the bulk endpoint doesn't accept.
+ * @param {string[]} athenaIds - The editorials' athena ids.
+ * @param {boolean} isRead - The new status.
+ * @param {function(number, number)} [onProgress] - Called with (done, total) as updates complete.
+ * @returns {Promise<string[]>} - The athena ids the server rejected.
+ */
+async function sendReadStatusBulk(athenaIds, isRead, onProgress = () => {}) {
+    const failedIds = [];
+    let doneCount = 0;
+
+    for (let i = 0; i < athenaIds.length; i += READ_STATUS_BATCH_SIZE) {
+        const batch = athenaIds.slice(i, i + READ_STATUS_BATCH_SIZE);
+
+        if (isBulkStatusSupported && batch.length > 1 && pendingMutationCount === 0) {
+            try {
+                await fetchJson('/notes/status', {
+                    method: 'PATCH',
+                    headers: { 'Content-Type': 'application/json' },
+                    body: JSON.stringify({ athena_ids: batch, is_read: isRead })
+                });
+                batch.forEach(athenaId => recordReadTransition(athenaId, isRead));
+                doneCount += batch.length;
+                onProgress(doneCount, athenaIds.length);
+                continue;
+            } catch (error) {
+                if (error.status === 404 || error.status === 405) isBulkStatusSupported = false;
+            }
+        }
+
+        for (const athenaId of batch) {
+            try {
+                await sendReadStatus(athenaId, isRead);
+            } catch (error) {
+                failedIds.push(athenaId);
+                console.error(`Error updating read status for ${athenaId}:`, error);
+            }
+            doneCount++;
+            onProgress(doneCount, athenaIds.length);
+        }
+    }
+
+    return failedIds;
+}
+
+
+// --- Note metadata: subject, source, tags and keywords from each note's front matter and body ---
+
+// The explorer groupings besides date, keyed by their route prefix
+const NOTE_GROUPINGS = {
+    subject: { label: 'Subject', emptyLabel: 'No subject', getValues: metadata => metadata.subject ? [metadata.subject] : [] },
+    source: { label: 'Source', emptyLabel: 'No source', getValues: metadata => metadata.source ? [metadata.source] : [] },
+    tag: { label: 'Tag', emptyLabel: 'Untagged', getValues: metadata => metadata.tags }
+};
+
+// How many of a note's most frequent words are kept to compare its text with other notes
+const NOTE_KEYWORD_COUNT = 30;
+
+// Words too common to say anything about what a note is about
+const KEYWORD_STOPWORDS = new Set([
+    'about', 'after', 'also', 'among', 'been', 'before', 'being', 'between', 'both', 'could', 'does',
+    'during', 'each', 'even', 'from', 'have', 'here', 'into', 'like', 'made', 'make', 'many', 'more',
+    'most', 'much', 'must', 'need', 'only', 'other', 'over', 'same', 'should', 'since', 'some', 'such',
+    'than', 'that', 'their', 'them', 'then', 'there', 'these', 'they', 'this', 'those', 'through',
+    'under', 'upon', 'very', 'well', 'were', 'what', 'when', 'where', 'which', 'while', 'will', 'with',
+    'within', 'without', 'would', 'your'
+]);
+
+// How many related notes the editorial modal lists, and the keyword overlap that counts as similar text
+const RELATED_NOTES_LIMIT = 5;
+const RELATED_TEXT_THRESHOLD = 0.2;
+
+// Bumped when the way entries are built changes, so entries from older versions are rebuilt
+const NOTE_METADATA_VERSION = 2;
+
+/**
+ * Picks the fields the explorer groups by out of a note's front matter.
+ * @param {object} data - The front matter, as parsed by gray-matter.
+ * @returns {{subject: string, source: string, tags: string[]}}
+ */
+function extractNoteMetadata(data) {
+    const text = value => (value === undefined || value === null ? '' : String(value).trim());
+    return {
+        subject: text(data.subject),
+        source: text(data.source),
+        tags: parseNoteTags(data.tags)
+    };
+}
+
+/**
+ * Picks the words a note uses most, leaving out common words, to compare its text with other notes.
+ * @param {string} text - The note's title and markdown body.
+ * @returns {string[]} - Up to NOTE_KEYWORD_COUNT words, most frequent first.
+ */
+function extractNoteKeywords(text) {
+    const counts = new Map();
+    // Link targets aren't part of what the note says
+    const words = text.toLowerCase().replace(/\]\([^)]*\)/g, ']').match(/[a-z][a-z-]{3,}/g) || [];
+    words.forEach(word => {
+        if (!KEYWORD_STOPWORDS.has(word)) counts.set(word, (counts.get(word) || 0) + 1);
+    });
+    return [...counts.entries()]
+        .sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]))
+        .slice(0, NOTE_KEYWORD_COUNT)
+        .map(([word]) => word);
+}
+
+/**
+ * Stores a note's metadata in the index, so it doesn't have to be downloaded again to be grouped
+ * or compared with other notes.
+ * @param {string} docId - The note's document id.
+ * @param {object} data - The note's front matter.
+ * @param {string} content - The note's markdown body.
+ * @returns {object} - The index entry.
+ */
+function saveNoteMetadata(docId, data, content) {
+    const keywords = extractNoteKeywords(`${data.title || ''}\n${content}`);
+    const entry = { docId, ...extractNoteMetadata(data), keywords, version: NOTE_METADATA_VERSION, indexedAt: Date.now() };
+    dbRequest('noteMetadata', 'readwrite', store => store.put(entry))
+        .catch(error => console.error('Error saving note metadata:', error));
+    return entry;
+}
+
+/**
+ * Reads whatever is already in the metadata index, without downloading anything.
+ * Entries built by an older version are left out, to be indexed again.
+ * @returns {Promise<Map<string, object>>} - Document id to index entry.
+ */
+async function loadStoredNoteMetadata() {
+    const stored = await dbRequest('noteMetadata', 'readonly', store => store.getAll()).catch(() => []);
+    return new Map(stored.filter(entry => entry.version === NOTE_METADATA_VERSION).map(entry => [entry.docId, entry]));
+}
+
+/**
+ * Builds the metadata index for a list of notes. Notes indexed on an earlier visit come from
+ * IndexedDB; the rest are downloaded a few at a time. Notes that can't be read are left out.
+ * @param {Array} notes - The notes to index.
+ * @param {string} collection - The notes collection they belong to.
+ * @param {function(number, number)} [onProgress] - Called with (done, total) as downloads finish.
+ * @returns {Promise<Map<string, object>>} - Document id to index entry.
+ */
+async function loadNoteMetadata(notes, collection, onProgress = () => {}) {
+    const metadata = await loadStoredNoteMetadata();
+
+    const queue = notes.filter(note => !metadata.has(note.id));
+    await mapWithConcurrency(queue, DOWNLOAD_WORKERS, async note => {
+        try {
+            const { data, content } = matter(await fetchEditorialMarkdown(note.id, collection));
+            metadata.set(note.id, saveNoteMetadata(note.id, data, content));
+        } catch (error) {
+            console.error(`Error reading the front matter of ${note.id}:`, error);
+        }
+    }, onProgress);
+    return metadata;
+}
+
+/**
+ * Groups notes by a front matter field. A note with several tags appears under each of them;
+ * notes without a value share one group, listed last.
+ * @param {Array} notes - The notes to group.
+ * @param {Map<string, object>} metadata - The metadata index.
+ * @param {string} grouping - A key of NOTE_GROUPINGS.
+ * @returns {Array<{name: string, editorials: Array}>} - Groups sorted by name, each newest first.
+ */
+function groupNotesByMetadata(notes, metadata, grouping) {
+    const { emptyLabel, getValues } = NOTE_GROUPINGS[grouping];
+    const groups = new Map();
+    notes.forEach(note => {
+        const entry = metadata.get(note.id);
+        if (!entry) return;
+        const values = getValues(entry);
+        (values.length > 0 ? values : [emptyLabel]).forEach(name => {
+            if (!groups.has(name)) groups.set(name, []);
+            groups.get(name).push(note);
+        });
+    });
+
+    return [...groups.entries()]
+        .map(([name, editorials]) => ({
+            name,
+            editorials: editorials.sort((a, b) => new Date(b.date) - new Date(a.date))
+        }))
+        .sort((a, b) => (a.name === emptyLabel) - (b.name === emptyLabel) || a.name.localeCompare(b.name));
+}
+
+/**
+ * Finds the notes most related to one note: those sharing its tags count most, then its subject,
+ * then how many of their keywords overlap with its own.
+ * @param {object} note - The note to find relations for.
+ * @param {Array} notes - The notes to look through.
+ * @param {Map<string, object>} metadata - The metadata index.
+ * @returns {Array<{note: object, reasons: string[]}>} - At most RELATED_NOTES_LIMIT, most related first.
+ */
+function findRelatedNotes(note, notes, metadata) {
+    const entry = metadata.get(note.id);
+    if (!entry) return [];
+    const keywords = new Set(entry.keywords || []);
+
+    return notes
+        .filter(other => other !== note && metadata.has(other.id))
+        .map(other => {
+            const otherEntry = metadata.get(other.id);
+            const sharedTags = otherEntry.tags.filter(tag => entry.tags.includes(tag));
+            const isSameSubject = Boolean(entry.subject) && otherEntry.subject === entry.subject;
+            // Overlap of the two keyword lists, scaled so long and short lists compare fairly
+            const otherKeywords = otherEntry.keywords || [];
+            const similarity = keywords.size > 0 && otherKeywords.length > 0
+                ? otherKeywords.filter(word => keywords.has(word)).length / Math.sqrt(keywords.size * otherKeywords.length)
+                : 0;
+            const isSimilarText = similarity >= RELATED_TEXT_THRESHOLD;
+
+            const reasons = [];
+            if (sharedTags.length > 0) reasons.push(`Tags: ${sharedTags.join(', ')}`);
+            if (isSameSubject) reasons.push(`Subject: ${entry.subject}`);
+            if (isSimilarText) reasons.push('Similar text');
+            const score = sharedTags.length * 2 + (isSameSubject ? 1 : 0) + (isSimilarText ? similarity * 4 : 0);
+            return { note: other, reasons, score };
+        })
+        .filter(({ reasons }) => reasons.length > 0)
+        .sort((a, b) => b.score - a.score || new Date(b.note.date) - new Date(a.note.date))
+        .slice(0, RELATED_NOTES_LIMIT)
+        .map(({ note: related, reasons }) => ({ note: related, reasons }));
+}
+
+
+// --- Data sources: the kenshin API, or a local folder of markdown files ---
+
+// Where exams, mock tests and notes come from; set once the page loads
+let dataSource = null;
+
+// Date in a note's file name, e.g. 2025-08-14_The_Hindu.md
+const FILENAME_DATE_PATTERN = /(\d{4})-(\d{2})-(\d{2})/;
+
+/**
+ * Creates the data source chosen in Settings. The local folder is read back from IndexedDB.
+ * @returns {Promise<object>}
+ */
+async function loadDataSource() {
+    if (loadPreference('dataSource', 'api') !== 'local') return createApiDataSource();
+    try {
+        const files = await dbRequest('localFiles', 'readonly', store => store.getAll());
+        return createLocalDataSource(files);
+    } catch (error) {
+        console.error('Error loading the local folder:', error);
+        return createLocalDataSource([]);
+    }
+}
+
+/**
+ * The kenshin API data source, with offline caching and queued writes.
+ * @returns {object}
+ */
+function createApiDataSource() {
+    return {
+        kind: 'api',
+        getExams: () => fetchJsonWithCache('/exams'),
+        getMockSeries: () => fetchJsonWithCache('/mocks'),
+        getMockTests: seriesId => fetchJsonWithCache(`/mocks/${seriesId}/tests`),
+        async getNotes(collection) {
+            const notes = await fetchJsonWithCache(`/notes/${collection}`);
+            // Changes made while offline haven't reached the server yet, so re-apply them locally
+            await applyPendingReadStatus(notes);
+            return notes;
+        },
+        getNoteMarkdown: (collection, docId) => downloadNoteMarkdown(collection, docId),
+        updateReadStatus: sendReadStatus,
+        updateReadStatusBulk: sendReadStatusBulk
+    };
+}
+
+/**
+ * A data source backed by a folder of markdown notes with front matter. Each note's collection
+ * comes from its `collection` field or its top-level folder (e.g. sociology/...), and its date
+ * from its `date` field or a YYYY-MM-DD in the file name. Optional exams.json and mocks.json
+ * files stand in for the API's exams and mock test series. Read status is kept in the browser.
+ * @param {Array<{path: string, content: string, lastModified: number}>} files - The folder's files.
+ * @returns {object}
+ */
+function createLocalDataSource(files) {
+    const readStatus = loadPreference('localReadStatus', {});
+    const collections = new Set(SECTIONS.map(section => section.collection));
+    const notes = [];
+    const contentById = new Map();
+    let exams = [];
+    let mockSeries = [];
+
+    const readJsonFile = (file) => {
+        try {
+            const data = JSON.parse(file.content);
+            return Array.isArray(data) ? data : [];
+        } catch (error) {
+            console.error(`Error reading ${file.path}:`, error);
+            return [];
+        }
+    };
+
+    files.forEach(file => {
+        const fileName = file.path.split('/').pop();
+        if (fileName === 'exams.json') exams = readJsonFile(file);
+        else if (fileName === 'mocks.json') mockSeries = readJsonFile(file);
+        if (!fileName.toLowerCase().endsWith('.md')) return;
+
+        let data = {};
+        try {
+            data = matter(file.content).data;
+        } catch (error) {
+            console.error(`Error reading the front matter of ${file.path}:`, error);
+        }
+
+        const topFolder = file.path.includes('/') ? file.path.split('/')[0] : '';
+        const collection = data.collection || (collections.has(topFolder) ? topFolder : 'editorials');
+        const id = `local-${hashString(file.path)}`;
+        const athenaId = `local:${file.path}`;
+        contentById.set(id, file.content);
+        notes.push({
+            id,
+            athena_id: athenaId,
+            collection,
+            date: getLocalNoteDate(data.date, fileName, file.lastModified),
+            original_filename: fileName,
+            is_read: Boolean(readStatus[athenaId])
+        });
+    });
+
+    const setReadStatus = (athenaIds, isRead) => {
+        const saved = loadPreference('localReadStatus', {});
+        athenaIds.forEach(athenaId => {
+            if (isRead) saved[athenaId] = true;
+            else delete saved[athenaId];
+            recordReadTransition(athenaId, isRead);
+        });
+        savePreference('localReadStatus', saved);
+    };
+
+    return {
+        kind: 'local',
+        fileCount: files.length,
+        noteCount: notes.length,
+        getExams: async () => exams,
+        getMockSeries: async () => mockSeries.map(({ tests, ...series }) => series),
+        getMockTests: async seriesId => mockSeries.find(series => series.id === seriesId)?.tests || [],
+        getNotes: async collection => notes
+            .filter(note => note.collection === collection)
+            .map(note => ({ ...note, is_read: Boolean(loadPreference('localReadStatus', {})[note.athena_id]) })),
+        async getNoteMarkdown(collection, docId) {
+            if (!contentById.has(docId)) throw createHttpError(404);
+            return contentById.get(docId);
+        },
+        async updateReadStatus(athenaId, isRead) {
+            setReadStatus([athenaId], isRead);
+            return { queued: false };
+        },
+        async updateReadStatusBulk(athenaIds, isRead, onProgress = () => {}) {
+            setReadStatus(athenaIds, isRead);
+            onProgress(athenaIds.length, athenaIds.length);
+            return [];
+        }
+    };
+}
+
+/**
+ * Works out a local note's date as an ISO string.
+ * @param {*} frontMatterDate - The `date` front matter field, if any (gray-matter may parse it to a Date).
+ * @param {string} fileName - The note's file name.
+ * @param {number} lastModified - The file's last-modified time, used when nothing else gives a date.
+ * @returns {string}
+ */
+function getLocalNoteDate(frontMatterDate, fileName, lastModified) {
+    // YAML dates come back as UTC midnight; keep them on the same calendar day locally
+    if (frontMatterDate instanceof Date && !isNaN(frontMatterDate)) {
+        return new Date(frontMatterDate.getUTCFullYear(), frontMatterDate.getUTCMonth(), frontMatterDate.getUTCDate()).toISOString();
+    }
+    const dateMatch = String(frontMatterDate ?? '').match(/^(\d{4})-(\d{2})-(\d{2})$/);
+    if (dateMatch) return new Date(Number(dateMatch[1]), Number(dateMatch[2]) - 1, Number(dateMatch[3])).toISOString();
+    if (frontMatterDate && !isNaN(new Date(frontMatterDate))) return new Date(frontMatterDate).toISOString();
+
+    const match = fileName.match(FILENAME_DATE_PATTERN);
+    if (match) return new Date(Number(match[1]), Number(match[2]) - 1, Number(match[3])).toISOString();
+    return new Date(lastModified || Date.now()).toISOString();
+}
+
+/**
+ * Hashes a string to a short, stable id (djb2, base 36).
+ * @param {string} value - The string to hash.
+ * @returns {string}
+ */
+function hashString(value) {
+    let hash = 5381;
+    for (let i = 0; i < value.length; i++) hash = ((hash * 33) ^ value.charCodeAt(i)) >>> 0;
+    return hash.toString(36);
+}
+
+/**
+ * Saves a folder's markdown and JSON files as the local data source, replacing any earlier
+ * folder, and switches to it. Paths are made relative to the chosen folder.
+ * @param {Array<{path: string, file: File}>} entries - The files found in the folder.
+ * @param {string} folderName - Shown in Settings.
+ * @returns {Promise<number>} - How many markdown notes were saved.
+ */
+async function importLocalFolder(entries, folderName) {
+    const relevant = entries.filter(({ path }) => /\.(md|json)$/i.test(path) && !path.split('/').some(part => part.startsWith('.')));
+
+    // Dropped or picked folders may all share one root folder; strip it so paths start at the notes
+    const roots = new Set(relevant.map(({ path }) => path.split('/')[0]));
+    const stripRoot = roots.size === 1 && relevant.every(({ path }) => path.includes('/'));
+    const files = await Promise.all(relevant.map(async ({ path, file }) => ({
+        path: stripRoot ? path.slice(path.indexOf('/') + 1) : path,
+        content: await file.text(),
+        lastModified: file.lastModified
+    })));
+
+    await dbRequest('localFiles', 'readwrite', store => store.clear());
+    // Local ids come from file paths, so a new folder's notes may reuse them with different front matter
+    await dbRequest('noteMetadata', 'readwrite', store => store.delete(IDBKeyRange.bound('local-', 'local-\uffff')));
+    for (const file of files) {
+        await dbRequest('localFiles', 'readwrite', store => store.put(file));
+    }
+    savePreference('localFolderName', folderName);
+    savePreference('dataSource', 'local');
+    return files.filter(file => file.path.toLowerCase().endsWith('.md')).length;
+}
+
+/**
+ * Lists the files under a directory handle from the File System Access API.
+ * @param {FileSystemDirectoryHandle} directory - The picked folder.
+ * @param {string} [prefix=''] - The path of the folder so far.
+ * @returns {Promise<Array<{path: string, file: File}>>}
+ */
+async function readDirectoryHandle(directory, prefix = '') {
+    const entries = [];
+    for await (const handle of directory.values()) {
+        const path = `${prefix}${handle.name}`;
+        if (handle.kind === 'directory') entries.push(...await readDirectoryHandle(handle, `${path}/`));
+        else entries.push({ path, file: await handle.getFile() });
+    }
+    return entries;
+}
+
+/**
+ * Lists the files under a dropped entry (file or folder).
+ * @param {FileSystemEntry} entry - From DataTransferItem.webkitGetAsEntry().
+ * @returns {Promise<Array<{path: string, file: File}>>}
+ */
+async function readDroppedEntry(entry) {
+    const path = entry.fullPath.replace(/^\//, '');
+    if (entry.isFile) {
+        const file = await new Promise((resolve, reject) => entry.file(resolve, reject));
+        return [{ path, file }];
+    }
+
+    // Directory readers hand back entries in chunks until an empty one
+    const reader = entry.createReader();
+    const children = [];
+    let chunk;
+    do {
+        chunk = await new Promise((resolve, reject) => reader.readEntries(resolve, reject));
+        children.push(...chunk);
+    } while (chunk.length > 0);
+
+    const nested = await Promise.all(children.map(readDroppedEntry));
+    return nested.flat();
+}
+
+/**
+ * Renders the data source settings: the API base URL, or a local folder of notes.
+ */
+function renderDataSourceSettings() {
+    const sourceSettings = document.getElementById('data-source-settings');
+    if (!sourceSettings) return;
+
+    const kind = loadPreference('dataSource', 'api');
+    const apiBaseUrl = loadPreference('apiBaseUrl', '');
+    const folderName = loadPreference('localFolderName', '');
+    const folderStatus = dataSource?.kind === 'local'
+        ? `${dataSource.noteCount} note${dataSource.noteCount === 1 ? '' : 's'} loaded${folderName ? ` from <strong>${escapeHtml(folderName)}</strong>` : ''}.`
+        : (folderName ? `Last folder: <strong>${escapeHtml(folderName)}</strong>.` : 'No folder chosen yet.');
+
+    sourceSettings.innerHTML = `
+        <h3 class="settings-title">Data Source</h3>
+        <p class="settings-help">
+            Exams, mock tests and notes come from the kenshin API, or from a folder of markdown notes
+            with front matter. Notes are filed by their <code>collection</code> field or top-level folder,
+            and dated by their <code>date</code> field or a YYYY-MM-DD in the file name.
+            Optional <code>exams.json</code> and <code>mocks.json</code> files add exams and mock tests.
+        </p>
+        <div class="settings-form">
+            <label><input type="radio" name="data-source" value="api" ${kind !== 'local' ? 'checked' : ''}> API</label>
+            <label><input type="radio" name="data-source" value="local" ${kind === 'local' ? 'checked' : ''}> Local folder</label>
+        </div>
+        <form class="settings-form data-source-api">
+            <label>Base URL <input name="api-base-url" type="url" placeholder="${DEFAULT_API_BASE_URL}" value="${escapeHtml(apiBaseUrl)}"></label>
+            <button type="submit" class="btn-secondary">Save</button>
+            <button type="button" class="btn-secondary data-source-reset" ${apiBaseUrl ? '' : 'disabled'}>Reset</button>
+        </form>
+        <div class="data-source-drop" tabindex="0">
+            <button type="button" class="btn-secondary data-source-pick">Choose Folder</button>
+            <input type="file" class="data-source-input" webkitdirectory multiple hidden>
+            <span>or drop a folder here</span>
+        </div>
+        <p class="settings-note data-source-status">${folderStatus}</p>
+        <p class="settings-error"></p>
+    `;
+}
+
+/**
+ * Wires up the data source settings. Any change reloads the page, since everything
+ * on it was loaded from the previous source.
+ */
+function setupDataSourceSettings() {
+    const sourceSettings = document.getElementById('data-source-settings');
+    if (!sourceSettings) return;
+
+    const showError = (message) => {
+        sourceSettings.querySelector('.settings-error').textContent = message;
+    };
+
+    const useFolder = async (entries, folderName) => {
+        const status = sourceSettings.querySelector('.data-source-status');
+        status.textContent = 'Reading folder...';
+        try {
+            const noteCount = await importLocalFolder(entries, folderName);
+            if (noteCount === 0) {
+                showError('No markdown notes were found in that folder.');
+                status.textContent = '';
+                return;
+            }
+            location.reload();
+        } catch (error) {
+            console.error('Error reading the local folder:', error);
+            showError('Could not read that folder.');
+            status.textContent = '';
+        }
+    };
+
+    sourceSettings.addEventListener('change', (event) => {
+        const { target } = event;
+        if (target.name === 'data-source') {
+            if (target.value === 'local' && loadPreference('localFolderName', '') === '') {
+                // Nothing to read yet; wait for a folder to be chosen
+                showError('Choose a folder of notes to use it.');
+                return;
+            }
+            savePreference('dataSource', target.value);
+            location.reload();
+        } else if (target.classList.contains('data-source-input')) {
+            const files = [...target.files];
+            if (files.length === 0) return;
+            const folderName = files[0].webkitRelativePath.split('/')[0];
+            useFolder(files.map(file => ({ path: file.webkitRelativePath || file.name, file })), folderName);
+        }
+    });
+
+    sourceSettings.addEventListener('submit', (event) => {
+        event.preventDefault();
+        const value = event.target.elements['api-base-url'].value.trim().replace(/\/+$/, '');
+        if (value && !/^https?:\/\//.test(value)) {
+            showError('Enter a URL starting with http:// or https://.');
+            return;
+        }
+        savePreference('apiBaseUrl', value);
+        savePreference('dataSource', 'api');
+        location.reload();
+    });
+
+    sourceSettings.addEventListener('click', async (event) => {
+        if (event.target.classList.contains('data-source-reset')) {
+            savePreference('apiBaseUrl', '');
+            location.reload();
+        } else if (event.target.classList.contains('data-source-pick')) {
+            // Browsers without the File System Access API fall back to a folder file input
+            if (!window.showDirectoryPicker) {
+                sourceSettings.querySelector('.data-source-input').click();
+                return;
+            }
+            try {
+                const directory = await window.showDirectoryPicker();
+                useFolder(await readDirectoryHandle(directory), directory.name);
+            } catch (error) {
+                if (error.name !== 'AbortError') {
+                    console.error('Error opening the folder:', error);
+                    showError('Could not open that folder.');
+                }
+            }
+        }
+    });
+
+    sourceSettings.addEventListener('dragover', (event) => {
+        if (!event.target.closest('.data-source-drop')) return;
+        event.preventDefault();
+        event.target.closest('.data-source-drop').classList.add('data-source-drop--active');
+    });
+    sourceSettings.addEventListener('dragleave', (event) => {
+        event.target.closest('.data-source-drop')?.classList.remove('data-source-drop--active');
+    });
+    sourceSettings.addEventListener('drop', async (event) => {
+        const dropZone = event.target.closest('.data-source-drop');
+        if (!dropZone) return;
+        event.preventDefault();
+        dropZone.classList.remove('data-source-drop--active');
+
+        const droppedEntries = [...event.dataTransfer.items]
+            .map(item => item.webkitGetAsEntry?.())
+            .filter(Boolean);
+        if (droppedEntries.length === 0) return;
+        const folderName = droppedEntries.length === 1 ? droppedEntries[0].name : 'dropped files';
+        try {
+            const nested = await Promise.all(droppedEntries.map(readDroppedEntry));
+            useFolder(nested.flat(), folderName);
+        } catch (error) {
+            console.error('Error reading the dropped folder:', error);
+            showError('Could not read that folder.');
+        }
+    });
+}
+
+
+// --- Notifications: a daily reading reminder and exam milestones, checked by a service worker ---
+
+const DEFAULT_NOTIFICATION_SETTINGS = {
+    enabled: false,
+    reminderTime: '20:00',
+    quietStart: '22:00',
+    quietEnd: '07:00',
+    milestones: true
+};
+
+// How often an open page sends the service worker fresh numbers to check
+const NOTIFICATION_CHECK_INTERVAL = 60 * 1000;
+// Must match PERIODIC_SYNC_TAG in sw.js
+const NOTIFICATION_SYNC_TAG = 'athena-reminders';
+
+// The exams milestones are counted to, and the check timer while notifications are on
+let notificationExams = [];
+let notificationTimer = null;
+// Today's reading target, worked out once a day: { date, target, athenaIds }
+let dailyReadingTarget = null;
+
+/**
+ * Reads the notification settings, filling in defaults.
+ * @returns {{enabled: boolean, reminderTime: string, quietStart: string, quietEnd: string, milestones: boolean}}
+ */
+function getNotificationSettings() {
+    return { ...DEFAULT_NOTIFICATION_SETTINGS, ...loadPreference('notifications', {}) };
+}
+
+/**
+ * Whether this browser can show notifications from a service worker.
+ * @returns {boolean}
+ */
+function isNotificationSupported() {
+    return 'Notification' in window && 'serviceWorker' in navigator;
+}
+
+/**
+ * Starts the notification checks if they've been switched on, and keeps the exams up to date.
+ * @param {Array} futureExams - The processed exams.
+ */
+function setupNotifications(futureExams) {
+    if (!isNotificationSupported()) return;
+    notificationExams = futureExams;
+    document.addEventListener('examschange', (event) => {
+        notificationExams = event.detail;
+        dailyReadingTarget = null; // The target exam may have changed
+    });
+
+    if (getNotificationSettings().enabled && Notification.permission === 'granted') {
+        startNotificationChecks();
+    } else {
+        // Background checks follow whoever is using the dashboard, even with their reminders off
+        navigator.serviceWorker.getRegistration()
+            .then(registration => registration?.active?.postMessage({ type: 'profile', profileKey: getDatabaseName() }))
+            .catch(error => console.error('Error updating the notification profile:', error));
+    }
+}
+
+/**
+ * Registers the service worker and sends it fresh numbers now and every minute. Where periodic
+ * background sync is available, the worker also checks by itself while no page is open.
+ */
+async function startNotificationChecks() {
+    stopNotificationChecks();
+    try {
+        const registration = await navigator.serviceWorker.register('sw.js');
+        if (registration.periodicSync) {
+            await registration.periodicSync.register(NOTIFICATION_SYNC_TAG, { minInterval: 60 * 60 * 1000 })
+                .catch(error => console.error('Error registering background reminders:', error));
+        }
+    } catch (error) {
+        console.error('Error registering the notification service worker:', error);
+        return;
+    }
+    sendNotificationCheck();
+    notificationTimer = setInterval(sendNotificationCheck, NOTIFICATION_CHECK_INTERVAL);
+}
+
+/**
+ * Stops the checks from this page; the worker stays registered but won't notify while disabled.
+ */
+function stopNotificationChecks() {
+    clearInterval(notificationTimer);
+    notificationTimer = null;
+}
+
+/**
+ * Works out today's reading target: the Per Day Metric for editorials, taken from the unread
+ * count at the start of the day so it doesn't shrink while reading.
+ * @returns {Promise<{date: string, target: number, readToday: number}>}
+ */
+async function getDailyReadingProgress() {
+    const todayKey = formatDateKey(new Date());
+    const history = await dbRequest('readHistory', 'readonly', store => store.getAll()).catch(() => []);
+    const countReadToday = athenaIds => countReadsPerDay(history.filter(transition => athenaIds.has(transition.athenaId))).get(todayKey) || 0;
+
+    if (dailyReadingTarget?.date !== todayKey) {
+        const editorials = await dataSource.getNotes('editorials');
+        const athenaIds = new Set(editorials.map(e => e.athena_id));
+        const unreadAtStart = editorials.filter(e => !e.is_read).length + countReadToday(athenaIds);
+        const targetExam = getTargetExam(notificationExams);
+        const daysRemaining = targetExam ? targetExam.daysRemaining : 0;
+        dailyReadingTarget = {
+            date: todayKey,
+            target: daysRemaining > 0 ? Math.ceil(unreadAtStart / daysRemaining) : 0,
+            athenaIds
+        };
+    }
+
+    return { date: todayKey, target: dailyReadingTarget.target, readToday: countReadToday(dailyReadingTarget.athenaIds) };
+}
+
+/**
+ * Sends the service worker the settings, today's reading progress and the exam dates to check.
+ */
+async function sendNotificationCheck() {
+    try {
+        const registration = await navigator.serviceWorker.ready;
+        const progress = await getDailyReadingProgress();
+        registration.active?.postMessage({
+            type: 'check',
+            profileKey: getDatabaseName(),
+            state: {
+                ...getNotificationSettings(),
+                ...progress,
+                exams: notificationExams.map(({ id, name, date }) => ({ id, name, date }))
+            }
+        });
+    } catch (error) {
+        console.error('Error checking notifications:', error);
+    }
+}
+
+/**
+ * Renders the notification settings: the switch, the reminder time, quiet hours and milestones.
+ */
+function renderNotificationSettings() {
+    const notificationSettings = document.getElementById('notification-settings');
+    if (!notificationSettings) return;
+
+    const settings = getNotificationSettings();
+    let note = '';
+    if (!isNotificationSupported()) {
+        note = 'This browser does not support notifications.';
+    } else if (Notification.permission === 'denied') {
+        note = 'Notifications are blocked for this site. Allow them in the browser to turn reminders on.';
+    } else if (settings.enabled && Notification.permission !== 'granted') {
+        note = 'Waiting for permission to show notifications.';
+    }
+
+    notificationSettings.innerHTML = `
+        <h3 class="settings-title">Notifications</h3>
+        <p class="settings-help">
+            A daily reminder when fewer editorials have been read than today's target (the Per Day Metric
+            for the target exam), and alerts 100, 30, 7 and 1 days before each exam.
+            Nothing is shown during quiet hours; anything due waits until they end.
+        </p>
+        <div class="settings-form">
+            <label><input type="checkbox" name="notifications-enabled" ${settings.enabled ? 'checked' : ''} ${isNotificationSupported() ? '' : 'disabled'}> Send notifications</label>
+        </div>
+        <div class="settings-form">
+            <label>Daily reminder at <input type="time" name="notifications-reminder-time" value="${escapeHtml(settings.reminderTime)}"></label>
+            <span class="settings-note">Leave empty for no reminder</span>
+        </div>
+        <div class="settings-form">
+            <label>Quiet hours from <input type="time" name="notifications-quiet-start" value="${escapeHtml(settings.quietStart)}"></label>
+            <label>to <input type="time" name="notifications-quiet-end" value="${escapeHtml(settings.quietEnd)}"></label>
+        </div>
+        <div class="settings-form">
+            <label><input type="checkbox" name="notifications-milestones" ${settings.milestones ? 'checked' : ''}> Exam milestones</label>
+        </div>
+        <p class="settings-error">${note}</p>
+    `;
+}
+
+/**
+ * Saves notification settings as they change. Turning notifications on asks for permission first.
+ */
+function setupNotificationSettings() {
+    const notificationSettings = document.getElementById('notification-settings');
+    if (!notificationSettings) return;
+
+    notificationSettings.addEventListener('change', async (event) => {
+        const { target } = event;
+        const settings = getNotificationSettings();
+
+        if (target.name === 'notifications-enabled') {
+            settings.enabled = target.checked;
+            if (settings.enabled && Notification.permission !== 'granted') {
+                savePreference('notifications', settings);
+                renderNotificationSettings();
+                const permission = await Notification.requestPermission();
+                if (permission !== 'granted') settings.enabled = false;
+            }
+        } else if (target.name === 'notifications-reminder-time') {
+            settings.reminderTime = target.value;
+        } else if (target.name === 'notifications-quiet-start') {
+            settings.quietStart = target.value;
+        } else if (target.name === 'notifications-quiet-end') {
+            settings.quietEnd = target.value;
+        } else if (target.name === 'notifications-milestones') {
+            settings.milestones = target.checked;
+        } else {
+            return;
+        }
+
+        savePreference('notifications', settings);
+        renderNotificationSettings();
+        if (settings.enabled) {
+            if (notificationTimer) sendNotificationCheck();
+            else startNotificationChecks();
+        } else {
+            stopNotificationChecks();
+            // Tell the worker too, so background checks stop notifying
+            if (navigator.serviceWorker?.controller) sendNotificationCheck();
+        }
+    });
+}
+
+
+// --- Study planner: spreads unread editorials over the days left before the target exam ---
+
+// Longest schedule we'll build, so a tiny daily cap can't loop for ever
+const MAX_PLAN_DAYS = 3650;
+
+/**
+ * Reads the planner settings.
+ * @returns {{dailyCap: number, restDays: number[]}} - dailyCap 0 means no cap; restDays are weekday numbers (0 = Sunday).
+ */
+function getPlannerSettings() {
+    return {
+        dailyCap: loadPreference('plannerDailyCap', 0),
+        restDays: loadPreference('plannerRestDays', [])
+    };
+}
+
+/**
+ * Formats a date as a local YYYY-MM-DD key.
+ * @param {Date} date
+ * @returns {string}
+ */
+function formatDateKey(date) {
+    return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+}
+
+/**
+ * Builds a day-by-day reading schedule for the unread editorials.
+ *
+ * Today's assignment is saved, so it stays put as items are read during the day, and
+ * whatever is still unread from an earlier day is carried over to the front of the queue.
+ * The remaining editorials are spread evenly over the study days (skipping rest days)
+ * before the target exam, never more than the daily cap.
+ * @param {Array} editorials - Every editorial, read and unread.
+ * @param {object|null} targetExam - The target exam from getTargetExam().
+ * @param {Date} [now] - The current time.
+ * @returns {{today: object, days: Array, quota: number, finishDate: Date|null, finishesAfterExam: boolean}}
+ */
+function buildStudyPlan(editorials, targetExam, now = new Date()) {
+    const { dailyCap, restDays } = getPlannerSettings();
+    const today = new Date(now);
+    today.setHours(0, 0, 0, 0);
+    const todayKey = formatDateKey(today);
+    const isRestDay = date => restDays.includes(date.getDay());
+    const examDate = targetExam ? new Date(targetExam.date) : null;
+    if (examDate) examDate.setHours(0, 0, 0, 0);
+
+    // 1. Anything assigned on an earlier day and still unread is backlog, so it goes first
+    const unread = editorials.filter(e => !e.is_read).sort((a, b) => new Date(a.date) - new Date(b.date));
+    const unreadById = new Map(unread.map(e => [e.id, e]));
+    const stored = loadPreference('studyPlanToday', null);
+    let carriedIds = [];
+    if (stored && stored.date < todayKey) carriedIds = stored.ids.filter(id => unreadById.has(id));
+    else if (stored && stored.date === todayKey) carriedIds = stored.carriedIds.filter(id => unreadById.has(id));
+    const queue = [
+        ...carriedIds.map(id => unreadById.get(id)),
+        ...unread.filter(e => !carriedIds.includes(e.id))
+    ];
+
+    // 2. Work out how many a day it takes to finish before the exam, within the cap
+    const countStudyDays = from => {
+        if (!examDate) return 0;
+        let count = 0;
+        for (const date = new Date(from); date < examDate; date.setDate(date.getDate() + 1)) {
+            if (!isRestDay(date)) count++;
+        }
+        return count;
+    };
+    const quotaFor = (remaining, studyDays) => {
+        const needed = studyDays > 0 ? Math.ceil(remaining / studyDays) : remaining;
+        return dailyCap > 0 ? Math.min(dailyCap, needed) : needed;
+    };
+    const quota = quotaFor(queue.length, countStudyDays(today));
+
+    // 3. Today's assignment: keep the saved one unless the settings behind it changed
+    const settingsKey = JSON.stringify([targetExam ? targetExam.id : null, dailyCap, restDays]);
+    let todayIds;
+    if (stored && stored.date === todayKey && stored.settingsKey === settingsKey) {
+        todayIds = stored.ids;
+    } else {
+        todayIds = isRestDay(today) ? [] : queue.slice(0, quota).map(e => e.id);
+        savePreference('studyPlanToday', { date: todayKey, ids: todayIds, carriedIds, settingsKey });
+    }
+    const editorialsById = new Map(editorials.map(e => [e.id, e]));
+    const todayEditorials = todayIds.map(id => editorialsById.get(id)).filter(Boolean);
+
+    // 4. Spread everything else over the following days
+    const remaining = queue.filter(e => !todayIds.includes(e.id));
+    const days = [];
+    const date = new Date(today);
+    let finishDate = remaining.length === 0 && todayEditorials.length > 0 ? new Date(today) : null;
+    while (remaining.length > 0 && days.length < MAX_PLAN_DAYS) {
+        date.setDate(date.getDate() + 1);
+        const day = { date: new Date(date), key: formatDateKey(date), isRestDay: isRestDay(date), editorials: [] };
+        if (!day.isRestDay) {
+            day.editorials = remaining.splice(0, Math.max(1, quotaFor(remaining.length, countStudyDays(date))));
+            if (remaining.length === 0) finishDate = new Date(date);
+        }
+        days.push(day);
+    }
+
+    return {
+        today: { date: today, key: todayKey, isRestDay: isRestDay(today), editorials: todayEditorials, carriedIds },
+        days,
+        quota,
+        finishDate,
+        finishesAfterExam: Boolean(examDate && finishDate && finishDate >= examDate)
+    };
+}
+
+/**
+ * Shows today's assigned editorials and the coming week's schedule on the dashboard.
+ * Recomputes when editorials are marked read here, or when the target exam or planner settings change.
+ * @param {Array} futureExams - The pre-fetched and processed array of future exams.
+ */
+async function displayStudyPlanner(futureExams) {
+    const plannerContainer = document.getElementById('planner-container');
+    if (!plannerContainer) return;
+
+    let editorials;
+    try {
+        editorials = await dataSource.getNotes('editorials');
+    } catch (error) {
+        plannerContainer.innerHTML = '<p style="color: red;">Could not load the study plan.</p>';
+        console.error('Error fetching editorials for the planner:', error);
+        return;
+    }
+
+    const savingIds = new Set();
+    const failedIds = new Set();
+
+    function render() {
+        const targetExam = getTargetExam(futureExams);
+        const plan = buildStudyPlan(editorials, targetExam);
+        const { today } = plan;
+        const doneCount = today.editorials.filter(e => e.is_read).length;
+        const unreadCount = editorials.filter(e => !e.is_read).length;
+
+        // 1. Summary line, with a warning if the cap means we won't finish in time
+        let summary = today.isRestDay
+            ? 'Rest day. Carried-over editorials will wait for the next study day.'
+            : `${doneCount} of ${today.editorials.length} done today.`;
+        if (targetExam) summary += ` ${unreadCount} unread before ${escapeHtml(targetExam.name)}.`;
+        else summary += ' Choose a target exam in Settings to plan against it.';
+
+        let warning = '';
+        if (plan.finishesAfterExam) {
+            const overrun = Math.round((plan.finishDate - new Date(targetExam.date).setHours(0, 0, 0, 0)) / (1000 * 60 * 60 * 24));
+            warning = `<p class="planner-warning">At ${plan.quota} a day you'll finish on ${plan.finishDate.toLocaleDateString('en-GB', { day: 'numeric', month: 'short', year: 'numeric' })}, ${overrun} day(s) after the exam. Raise the daily cap in Settings.</p>`;
+        }
+
+        // 2. Today's list
+        const items = today.editorials.map(e => {
+            const isCarried = today.carriedIds.includes(e.id);
+            const isSaving = savingIds.has(e.id);
+            return `
+                <li class="planner-item ${e.is_read ? 'planner-item--done' : ''}">
+                    <span class="status-dot ${e.is_read ? 'status-read' : 'status-unread'}"></span>
+                    <span class="planner-item-title">${escapeHtml(formatEditorialTitle(e))}</span>
+                    ${isCarried ? '<span class="planner-badge">Backlog</span>' : ''}
+                    <span class="planner-item-date">${new Date(e.date).toLocaleDateString('en-GB', { day: 'numeric', month: 'short' })}</span>
+                    ${failedIds.has(e.id) ? `<span class="inline-error">Couldn't save.</span>` : ''}
+                    <button class="btn-planner-toggle" data-doc-id="${e.id}" ${isSaving ? 'disabled' : ''}>${e.is_read ? 'Undo' : 'Mark as Read'}</button>
+                </li>`;
+        }).join('');
+
+        // 3. The next seven days
+        const week = plan.days.slice(0, 7).map(day => `
+            <div class="planner-day ${day.isRestDay ? 'planner-day--rest' : ''}">
+                <span class="planner-day-name">${day.date.toLocaleDateString('en-GB', { weekday: 'short' })}</span>
+                <span class="planner-day-date">${day.date.getDate()}</span>
+                <span class="planner-day-count">${day.isRestDay ? 'Rest' : day.editorials.length}</span>
+            </div>
+        `).join('');
+
+        plannerContainer.innerHTML = `
+            <div class="planner-today">
+                <p class="planner-summary">${summary}</p>
+                ${warning}
+                ${items ? `<ul class="planner-list">${items}</ul>` : (today.isRestDay ? '' : '<p class="planner-empty">Nothing assigned today. All caught up!</p>')}
+            </div>
+            ${week ? `<div class="planner-week">${week}</div>` : ''}
+        `;
+    }
+
+    plannerContainer.addEventListener('click', async (event) => {
+        if (!event.target.classList.contains('btn-planner-toggle')) return;
+        const editorial = editorials.find(e => e.id === event.target.dataset.docId);
+        if (!editorial || savingIds.has(editorial.id)) return;
+
+        // Optimistic update, rolled back if the server rejects it
+        const previousStatus = editorial.is_read;
+        editorial.is_read = !previousStatus;
+        savingIds.add(editorial.id);
+        failedIds.delete(editorial.id);
+        render();
+        try {
+            await dataSource.updateReadStatus(editorial.athena_id, editorial.is_read);
+            updateRevisionSchedule([editorial.athena_id], editorial.is_read);
+        } catch (error) {
+            editorial.is_read = previousStatus;
+            failedIds.add(editorial.id);
+            console.error('Error updating read status:', error);
+        } finally {
+            savingIds.delete(editorial.id);
+            render();
+        }
+    });
+
+    document.addEventListener('examschange', (event) => {
+        futureExams = event.detail;
+        render();
+    });
+    document.addEventListener('plannerchange', render);
+    // Marked read or unread elsewhere on the page, e.g. from the command palette
+    document.addEventListener('readstatuschange', (event) => {
+        const editorial = editorials.find(e => e.athena_id === event.detail.athenaId);
+        if (!editorial || savingIds.has(editorial.id)) return;
+        editorial.is_read = event.detail.isRead;
+        failedIds.delete(editorial.id);
+        render();
+    });
+
+    render();
+}
+
+
+// --- Reading history: streaks, activity heatmap and weekly read rate ---
+
+// Weeks shown in the heatmap and in the weekly chart
+const HEATMAP_WEEKS = 53;
+const READ_RATE_WEEKS = 12;
+
+// The weekly chart is redrawn with the home stats, so keep hold of it to clean up
+let readRateChart = null;
+
+/**
+ * Records a read/unread transition with the current time. Failures are logged, never thrown,
+ * so history can't get in the way of the status update itself.
+ * @param {string} athenaId - The editorial's athena id.
+ * @param {boolean} isRead - The new status.
+ */
+function recordReadTransition(athenaId, isRead) {
+    dbRequest('readHistory', 'readwrite', store => store.add({ athenaId, isRead, at: new Date().toISOString() }))
+        .catch(error => console.error('Error recording read history:', error));
+}
+
+/**
+ * Counts editorials read on each day. An editorial counts once per day, and only if
+ * the last change to it that day was to mark it read.
+ * @param {Array} history - Transitions from the readHistory store.
+ * @returns {Map<string, number>} - Local YYYY-MM-DD key to count.
+ */
+function countReadsPerDay(history) {
+    const lastStatusByDay = new Map(); // day -> (athenaId -> isRead)
+    [...history].sort((a, b) => a.at.localeCompare(b.at)).forEach(({ athenaId, isRead, at }) => {
+        const dayKey = formatDateKey(new Date(at));
+        if (!lastStatusByDay.has(dayKey)) lastStatusByDay.set(dayKey, new Map());
+        lastStatusByDay.get(dayKey).set(athenaId, isRead);
+    });
+
+    const counts = new Map();
+    lastStatusByDay.forEach((statuses, dayKey) => {
+        const count = [...statuses.values()].filter(Boolean).length;
+        if (count > 0) counts.set(dayKey, count);
+    });
+    return counts;
+}
+
+/**
+ * Works out the current and longest streaks of consecutive days with at least one read.
+ * The current streak still counts if nothing has been read yet today.
+ * @param {Map<string, number>} readsPerDay - From countReadsPerDay().
+ * @param {Date} [today] - The current day.
+ * @returns {{current: number, longest: number}}
+ */
+function calculateStreaks(readsPerDay, today = new Date()) {
+    const dayMs = 1000 * 60 * 60 * 24;
+    const days = [...readsPerDay.keys()].sort();
+
+    let longest = 0;
+    let run = 0;
+    let previous = null;
+    days.forEach(dayKey => {
+        const date = new Date(`${dayKey}T00:00:00`);
+        run = previous && Math.round((date - previous) / dayMs) === 1 ? run + 1 : 1;
+        longest = Math.max(longest, run);
+        previous = date;
+    });
+
+    let current = 0;
+    const date = new Date(today);
+    date.setHours(0, 0, 0, 0);
+    if (!readsPerDay.has(formatDateKey(date))) date.setDate(date.getDate() - 1);
+    while (readsPerDay.has(formatDateKey(date))) {
+        current++;
+        date.setDate(date.getDate() - 1);
+    }
+
+    return { current, longest };
+}
+
+/**
+ * Renders the streak cards, the calendar heatmap and the weekly read-rate chart.
+ * @param {HTMLElement} container - Where to render.
+ * @param {string[]} athenaIds - The notes to count, so each section tracks its own reading.
+ */
+async function renderReadingActivity(container, athenaIds) {
+    let history;
+    try {
+        const sectionIds = new Set(athenaIds);
+        history = (await dbRequest('readHistory', 'readonly', store => store.getAll()))
+            .filter(transition => sectionIds.has(transition.athenaId));
+    } catch (error) {
+        container.innerHTML = '<p style="color: red;">Could not load reading history.</p>';
+        console.error('Error loading reading history:', error);
+        return;
+    }
+    if (!container.isConnected) return; // The home stats were replaced while loading
+
+    const readsPerDay = countReadsPerDay(history);
+    const { current, longest } = calculateStreaks(readsPerDay);
+
+    // 1. The heatmap runs from the Sunday HEATMAP_WEEKS weeks ago up to today
+    const today = new Date();
+    today.setHours(0, 0, 0, 0);
+    const start = new Date(today);
+    start.setDate(start.getDate() - start.getDay() - (HEATMAP_WEEKS - 1) * 7);
+
+    const maxCount = Math.max(1, ...readsPerDay.values());
+    let cells = '';
+    for (const date = new Date(start); date <= today; date.setDate(date.getDate() + 1)) {
+        const count = readsPerDay.get(formatDateKey(date)) || 0;
+        const level = count === 0 ? 0 : Math.ceil((count / maxCount) * 4);
+        const label = `${count} note${count === 1 ? '' : 's'} read on ${date.toLocaleDateString('en-GB', { day: 'numeric', month: 'short', year: 'numeric' })}`;
+        cells += `<span class="heatmap-cell heatmap-level-${level}" title="${label}"></span>`;
+    }
+
+    container.innerHTML = `
+        <div class="stats-grid">
+            <div class="stat-card">
+                <p class="stat-value">${current}</p>
+                <p class="stat-label">Current Streak (days)</p>
+            </div>
+            <div class="stat-card">
+                <p class="stat-value">${longest}</p>
+                <p class="stat-label">Longest Streak (days)</p>
+            </div>
+        </div>
+        <div class="activity-panel">
+            <h4 class="activity-title">Reading Activity</h4>
+            <div class="heatmap">${cells}</div>
+            <div class="heatmap-legend">
+                Less
+                ${[0, 1, 2, 3, 4].map(level => `<span class="heatmap-cell heatmap-level-${level}"></span>`).join('')}
+                More
+            </div>
+        </div>
+        <div class="activity-panel">
+            <h4 class="activity-title">Read per Week</h4>
+            <div class="read-rate-chart"><canvas></canvas></div>
+        </div>
+    `;
+
+    // 2. Weekly totals for the last READ_RATE_WEEKS weeks, Monday to Sunday
+    const weekStart = new Date(today);
+    weekStart.setDate(weekStart.getDate() - ((weekStart.getDay() + 6) % 7) - (READ_RATE_WEEKS - 1) * 7);
+    const labels = [];
+    const weeklyReads = [];
+    for (let week = 0; week < READ_RATE_WEEKS; week++) {
+        let total = 0;
+        const date = new Date(weekStart);
+        date.setDate(date.getDate() + week * 7);
+        labels.push(date.toLocaleDateString('en-GB', { day: 'numeric', month: 'short' }));
+        for (let day = 0; day < 7; day++) {
+            total += readsPerDay.get(formatDateKey(date)) || 0;
+            date.setDate(date.getDate() + 1);
+        }
+        weeklyReads.push(total);
+    }
+
+    if (readRateChart) readRateChart.destroy();
+    readRateChart = new Chart(container.querySelector('canvas'), {
+        type: 'bar',
+        data: {
+            labels: labels,
+            datasets: [{
+                label: 'Read',
+                data: weeklyReads,
+                backgroundColor: 'rgba(66, 103, 178, 0.6)',
+                borderRadius: 4
+            }]
+        },
+        options: {
+            responsive: true,
+            maintainAspectRatio: false,
+            plugins: {
+                legend: {
+                    display: false
+                },
+                tooltip: {
+                    callbacks: {
+                        title: items => `Week of ${items[0].label}`,
+                        label: item => `${item.raw} read (${(item.raw / 7).toFixed(1)} a day)`
+                    }
+                }
+            },
+            scales: {
+                y: {
+                    beginAtZero: true,
+                    ticks: {
+                        precision: 0
+                    }
+                }
+            }
+        }
+    });
+}
+
+
+// --- Focus timer: Pomodoro-style work and break phases in the header, logged per section ---
+
+const DEFAULT_FOCUS_SETTINGS = { workMinutes: 25, breakMinutes: 5 };
+
+// Weeks shown on the Study Time chart
+const STUDY_TIME_WEEKS = 8;
+
+// The timer's state, saved so it survives reloads and is shared between tabs:
+// { phase: 'idle'|'work'|'break', subject, sessionId, startedAt, endsAt, pausedRemaining }
+let focusTimer = { phase: 'idle', subject: 'editorials' };
+// Completed sessions, loaded for the Study Time card
+let focusSessions = [];
+// The Study Time chart is redrawn when sessions or mock scores change, so keep hold of it to clean up
+let studyTimeChart = null;
+
+/**
+ * Reads the focus timer's work and break lengths, filling in defaults.
+ * @returns {{workMinutes: number, breakMinutes: number}}
+ */
+function getFocusSettings() {
+    return { ...DEFAULT_FOCUS_SETTINGS, ...loadPreference('focusSettings', {}) };
+}
+
+/**
+ * Restores the focus timer and wires up its controls in the header.
+ */
+function setupFocusTimer() {
+    const controls = document.getElementById('focus-controls');
+    if (!controls) return;
+
+    focusTimer = loadPreference('focusTimer', focusTimer);
+    // A session that was running when the page was last closed picks up where it is now
+    if (focusTimer.phase !== 'idle') timeDisplayMode = 'focus';
+
+    controls.addEventListener('click', (event) => {
+        const action = event.target.dataset.focusAction;
+        if (!action) return;
+        const now = Date.now();
+
+        if (action === 'start') {
+            focusTimer.subject = controls.querySelector('.focus-subject').value;
+            startFocusPhase('work', now);
+        } else if (action === 'pause') {
+            focusTimer.pausedRemaining = Math.max(0, focusTimer.endsAt - now);
+        } else if (action === 'resume') {
+            // Move the start along with the end, so the logged length leaves out the pause
+            const pauseLength = now + focusTimer.pausedRemaining - focusTimer.endsAt;
+            focusTimer.startedAt += pauseLength;
+            focusTimer.endsAt += pauseLength;
+            delete focusTimer.pausedRemaining;
+        } else if (action === 'skip' || action === 'stop') {
+            // Stopping abandons the session; only completed work phases are logged
+            focusTimer = { phase: 'idle', subject: focusTimer.subject };
+        }
+        saveFocusTimer();
+    });
+
+    controls.addEventListener('change', (event) => {
+        if (!event.target.classList.contains('focus-subject')) return;
+        focusTimer.subject = event.target.value;
+        saveFocusTimer();
+    });
+
+    // Another tab started, paused or finished a phase
+    window.addEventListener('storage', (event) => {
+        if (!event.key?.endsWith('.focusTimer')) return;
+        focusTimer = loadPreference('focusTimer', focusTimer);
+        renderFocusControls();
+        updateTimeDisplay();
+    });
+
+    renderFocusControls();
+}
+
+/**
+ * Starts a work or break phase of the configured length.
+ * @param {'work'|'break'} phase
+ * @param {number} startTime - When it starts, in ms.
+ */
+function startFocusPhase(phase, startTime) {
+    const { workMinutes, breakMinutes } = getFocusSettings();
+    const length = (phase === 'work' ? workMinutes : breakMinutes) * 60 * 1000;
+    focusTimer = {
+        phase,
+        subject: focusTimer.subject,
+        sessionId: phase === 'work' ? createId() : null,
+        startedAt: startTime,
+        endsAt: startTime + length
+    };
+}
+
+/**
+ * Saves the timer, redraws its controls and refreshes the display.
+ */
+function saveFocusTimer() {
+    savePreference('focusTimer', focusTimer);
+    renderFocusControls();
+    updateTimeDisplay();
+}
+
+/**
+ * Moves the timer on when a phase has run out: a finished work phase is logged and
+ * followed by a break, and a finished break leaves the timer idle for the next session.
+ * @param {number} now - The current time, in ms.
+ */
+function advanceFocusTimer(now) {
+    if (focusTimer.phase === 'idle' || focusTimer.pausedRemaining !== undefined || now < focusTimer.endsAt) return;
+
+    if (focusTimer.phase === 'work') {
+        logFocusSession(focusTimer);
+        // The break starts when the work ended, even if the page was closed at the time
+        startFocusPhase('break', focusTimer.endsAt);
+        if (now >= focusTimer.endsAt) focusTimer = { phase: 'idle', subject: focusTimer.subject };
+    } else {
+        focusTimer = { phase: 'idle', subject: focusTimer.subject };
+    }
+    savePreference('focusTimer', focusTimer);
+    renderFocusControls();
+}
+
+/**
+ * Saves a completed work phase. Sessions are keyed by the id given when the phase started,
+ * so a second open tab finishing the same phase doesn't log it twice.
+ * @param {object} timer - The finished work phase.
+ */
+function logFocusSession(timer) {
+    const session = {
+        sessionId: timer.sessionId,
+        subject: timer.subject,
+        startedAt: new Date(timer.startedAt).toISOString(),
+        endedAt: new Date(timer.endsAt).toISOString(),
+        minutes: Math.round((timer.endsAt - timer.startedAt) / (60 * 1000))
+    };
+    focusSessions = [...focusSessions.filter(s => s.sessionId !== session.sessionId), session];
+    dbRequest('focusSessions', 'readwrite', store => store.put(session))
+        .catch(error => console.error('Error saving focus session:', error));
+    document.dispatchEvent(new CustomEvent('focuschange'));
+}
+
+/**
+ * Formats the header text for the focus timer.
+ * @param {number} now - The current time, in ms.
+ * @returns {string}
+ */
+function formatFocusTimer(now) {
+    if (focusTimer.phase === 'idle') {
+        return `Focus ${formatDuration(getFocusSettings().workMinutes * 60 * 1000)}`;
+    }
+    const remaining = focusTimer.pausedRemaining ?? Math.max(0, focusTimer.endsAt - now);
+    // Round up, so the display reaches 00:00:00 just as the phase ends
+    const display = formatDuration(Math.ceil(remaining / 1000) * 1000);
+    const subject = SECTIONS.find(section => section.key === focusTimer.subject)?.title || focusTimer.subject;
+    const label = focusTimer.phase === 'work' ? `Focus · ${subject}` : 'Break';
+    return `${label} ${display}${focusTimer.pausedRemaining !== undefined ? ' (paused)' : ''}`;
+}
+
+/**
+ * Renders the buttons next to the time display while it shows the focus timer.
+ */
+function renderFocusControls() {
+    const controls = document.getElementById('focus-controls');
+    if (!controls) return;
+
+    controls.hidden = timeDisplayMode !== 'focus';
+    if (controls.hidden) return;
+
+    const { phase, subject, pausedRemaining } = focusTimer;
+    if (phase === 'idle') {
+        controls.innerHTML = `
+            <select class="focus-subject" title="What this session is for">
+                ${SECTIONS.map(section => `<option value="${section.key}" ${section.key === subject ? 'selected' : ''}>${section.title}</option>`).join('')}
+            </select>
+            <button class="focus-button" data-focus-action="start">Start</button>
+        `;
+    } else {
+        const isPaused = pausedRemaining !== undefined;
+        controls.innerHTML = `
+            <button class="focus-button" data-focus-action="${isPaused ? 'resume' : 'pause'}">${isPaused ? 'Resume' : 'Pause'}</button>
+            ${phase === 'work'
+                ? '<button class="focus-button" data-focus-action="stop">Stop</button>'
+                : '<button class="focus-button" data-focus-action="skip">Skip Break</button>'}
+        `;
+    }
+}
+
+/**
+ * Renders the focus timer settings: the work and break lengths.
+ */
+function renderFocusSettings() {
+    const focusSettings = document.getElementById('focus-settings');
+    if (!focusSettings) return;
+
+    const { workMinutes, breakMinutes } = getFocusSettings();
+    focusSettings.innerHTML = `
+        <h3 class="settings-title">Focus Timer</h3>
+        <p class="settings-help">
+            Click the clock in the header until it shows the focus timer. Each completed work session
+            is logged against the section it was for and counted on the dashboard's Study Time card.
+        </p>
+        <div class="settings-form">
+            <label>Work <input type="number" name="focus-work-minutes" min="1" max="180" value="${workMinutes}"> min</label>
+            <label>Break <input type="number" name="focus-break-minutes" min="1" max="180" value="${breakMinutes}"> min</label>
+        </div>
+    `;
+}
+
+/**
+ * Loads the logged focus sessions and draws the Study Time card, redrawing as sessions complete.
+ */
+async function displayStudyTime() {
+    const chartCanvas = document.getElementById('study-time-chart');
+    if (!chartCanvas) return;
+
+    try {
+        focusSessions = await dbRequest('focusSessions', 'readonly', store => store.getAll());
+    } catch (error) {
+        document.getElementById('study-time-summary').innerHTML = '<p style="color: red;">Could not load study time.</p>';
+        console.error('Error loading focus sessions:', error);
+        return;
+    }
+    drawStudyTimeChart();
+    document.addEventListener('focuschange', drawStudyTimeChart);
+}
+
+/**
+ * Draws hours studied per section for each of the last STUDY_TIME_WEEKS weeks as stacked bars,
+ * with the average mock score of each week's tests (from the Performance card's series) as a line.
+ */
+function drawStudyTimeChart() {
+    const chartCanvas = document.getElementById('study-time-chart');
+    const summaryElement = document.getElementById('study-time-summary');
+    if (!chartCanvas || !summaryElement) return;
+
+    // 1. Weeks run Monday to Sunday, ending with this one
+    const today = new Date();
+    today.setHours(0, 0, 0, 0);
+    const firstWeek = new Date(today);
+    firstWeek.setDate(firstWeek.getDate() - ((firstWeek.getDay() + 6) % 7) - (STUDY_TIME_WEEKS - 1) * 7);
+    const getWeekIndex = (date) => {
+        const day = new Date(date);
+        day.setHours(0, 0, 0, 0);
+        return Math.floor(Math.round((day - firstWeek) / (1000 * 60 * 60 * 24)) / 7);
+    };
+    const labels = Array.from({ length: STUDY_TIME_WEEKS }, (_, week) => {
+        const date = new Date(firstWeek);
+        date.setDate(date.getDate() + week * 7);
+        return date.toLocaleDateString('en-GB', { day: 'numeric', month: 'short' });
+    });
+
+    // 2. Hours per section per week
+    const hours = new Map(SECTIONS.map(section => [section.key, new Array(STUDY_TIME_WEEKS).fill(0)]));
+    focusSessions.forEach(session => {
+        const week = getWeekIndex(session.startedAt);
+        if (week >= 0 && week < STUDY_TIME_WEEKS && hours.has(session.subject)) {
+            hours.get(session.subject)[week] += session.minutes / 60;
+        }
+    });
+    const datasets = SECTIONS
+        .map((section, index) => ({
+            type: 'bar',
+            label: section.title,
+            data: hours.get(section.key).map(value => Math.round(value * 100) / 100),
+            backgroundColor: SERIES_COLORS[index % SERIES_COLORS.length],
+            stack: 'hours',
+            yAxisID: 'y'
+        }))
+        .filter(dataset => dataset.data.some(value => value > 0));
+
+    // 3. The average mock score of each week's tests
+    const weeklyScores = Array.from({ length: STUDY_TIME_WEEKS }, () => []);
+    performanceSeriesTests.flatMap(({ tests }) => tests).forEach(test => {
+        const week = getWeekIndex(test.date);
+        if (week >= 0 && week < STUDY_TIME_WEEKS) weeklyScores[week].push(test.score);
+    });
+    const hasScores = weeklyScores.some(scores => scores.length > 0);
+    if (hasScores) {
+        datasets.push({
+            type: 'line',
+            label: 'Mock score (avg)',
+            data: weeklyScores.map(scores => scores.length > 0 ? Math.round(summarizeScores(scores).mean * 10) / 10 : null),
+            borderColor: '#1c1e21',
+            backgroundColor: '#1c1e21',
+            spanGaps: true,
+            yAxisID: 'y1'
+        });
+    }
+
+    // 4. Totals for this week and the whole chart
+    const thisWeek = [...hours.values()].reduce((total, weeks) => total + weeks[STUDY_TIME_WEEKS - 1], 0);
+    const allWeeks = [...hours.values()].reduce((total, weeks) => total + weeks.reduce((sum, value) => sum + value, 0), 0);
+    summaryElement.textContent = focusSessions.length > 0
+        ? `${thisWeek.toFixed(1)} h this week · ${allWeeks.toFixed(1)} h over ${STUDY_TIME_WEEKS} weeks`
+        : 'No focus sessions yet. Click the clock in the header until it shows the focus timer to start one.';
+
+    if (studyTimeChart) studyTimeChart.destroy();
+    studyTimeChart = new Chart(chartCanvas, {
+        data: { labels, datasets },
+        options: {
+            responsive: true,
+            maintainAspectRatio: false,
+            plugins: {
+                tooltip: {
+                    callbacks: {
+                        title: items => `Week of ${items[0].label}`,
+                        label: item => item.dataset.yAxisID === 'y1'
+                            ? `${item.dataset.label}: ${item.raw}`
+                            : `${item.dataset.label}: ${item.raw} h`
+                    }
+                }
+            },
+            scales: {
+                x: { stacked: true },
+                y: { stacked: true, beginAtZero: true, title: { display: true, text: 'Hours' } },
+                y1: {
+                    display: hasScores,
+                    position: 'right',
+                    grid: { drawOnChartArea: false },
+                    title: { display: true, text: 'Mock score' }
+                }
+            }
+        }
+    });
+}
+
+
+// --- Answer writing practice: timed attempts with a live word count and rubric self-scoring ---
+
+// What an answer is self-scored on, in points out of 10; the total is scaled to the question's marks
+const ANSWER_RUBRIC = [
+    { key: 'demand', label: 'Addresses every part of the question', max: 3 },
+    { key: 'structure', label: 'Introduction, body and conclusion', max: 2 },
+    { key: 'content', label: 'Facts, examples and data', max: 3 },
+    { key: 'presentation', label: 'Presentation and flow (diagrams, headings)', max: 1 },
+    { key: 'limit', label: 'Within the word limit', max: 1 }
+];
+
+const DEFAULT_PRACTICE = { wordLimit: 150, marks: 10, minutes: 7 };
+
+// The attempt being written or reviewed, and the interval that runs its timer
+let practiceAttempt = null;
+let practiceInterval = null;
+let answerAttempts = [];
+
+/**
+ * Wires up the practice button and modal on the explorer page.
+ * @param {object[]} notes - The section's notes, offered as ready-made questions.
+ */
+async function setupAnswerPractice(notes) {
+    const practiceButton = document.getElementById('btn-practice');
+    const practiceModal = document.getElementById('practice-modal');
+    if (!practiceButton || !practiceModal) return;
+
+    const practiceBody = document.getElementById('practice-body');
+    practiceButton.hidden = false;
+
+    answerAttempts = await loadAnswerAttempts();
+
+    practiceButton.addEventListener('click', () => {
+        if (!practiceAttempt) renderPracticeSetup(notes);
+        renderAnswerAttempts();
+        practiceModal.classList.add('visible');
+    });
+
+    practiceModal.addEventListener('click', (event) => {
+        // Close if the backdrop or the close button is clicked; a running attempt keeps its timer
+        if (event.target === practiceModal || event.target.classList.contains('modal-close-btn')) {
+            practiceModal.classList.remove('visible');
+        }
+    });
+
+    practiceBody.addEventListener('change', (event) => {
+        if (event.target.name === 'question-choice') {
+            practiceBody.querySelector('textarea[name="question"]').hidden = event.target.value !== '';
+        }
+    });
+
+    practiceBody.addEventListener('input', (event) => {
+        if (event.target.id === 'practice-editor') {
+            practiceAttempt.answer = event.target.value;
+            updatePracticeWordCount();
+        } else if (event.target.classList.contains('rubric-score')) {
+            updateRubricTotal();
+        }
+    });
+
+    practiceBody.addEventListener('submit', async (event) => {
+        event.preventDefault();
+        const form = event.target;
+        if (form.id === 'practice-setup-form') {
+            startPracticeAttempt(form);
+        } else if (form.id === 'practice-review-form') {
+            // Keep the attempt on screen if it couldn't be stored, so it isn't lost
+            try {
+                await saveAnswerAttempt(form);
+            } catch (error) {
+                form.querySelector('.settings-error').textContent = "Couldn't save this attempt. Please try again.";
+                console.error('Error saving answer attempt:', error);
+                return;
+            }
+            renderPracticeSetup(notes);
+            renderAnswerAttempts();
+        }
+    });
+
+    practiceBody.addEventListener('click', (event) => {
+        if (event.target.id === 'btn-finish-attempt') {
+            finishPracticeAttempt();
+        } else if (event.target.id === 'btn-discard-attempt') {
+            practiceAttempt = null;
+            renderPracticeSetup(notes);
+        }
+    });
+
+    document.getElementById('practice-attempts').addEventListener('click', async (event) => {
+        if (event.target.classList.contains('btn-delete-attempt')) {
+            await deleteAnswerAttempt(event.target.dataset.id);
+            renderAnswerAttempts();
+        } else if (event.target.id === 'btn-export-attempts') {
+            downloadFile('answer-writing-attempts.md', buildAttemptsMarkdown(answerAttempts), 'text/markdown');
+        }
+    });
+}
+
+/**
+ * Reads saved answer attempts from IndexedDB.
+ * @returns {Promise<object[]>}
+ */
+async function loadAnswerAttempts() {
+    try {
+        return await dbRequest('answerAttempts', 'readonly', store => store.getAll());
+    } catch (error) {
+        console.error('Error loading answer attempts:', error);
+        return [];
+    }
+}
+
+/**
+ * Shows the form for picking or entering a question.
+ * @param {object[]} notes - The section's notes, offered as ready-made questions.
+ */
+function renderPracticeSetup(notes) {
+    const practiceBody = document.getElementById('practice-body');
+    const options = notes
+        .map(note => formatEditorialTitle(note))
+        .sort((a, b) => a.localeCompare(b))
+        .map(title => `<option value="${escapeHtml(title)}">${escapeHtml(title)}</option>`)
+        .join('');
+
+    practiceBody.innerHTML = `
+        <form id="practice-setup-form" class="practice-setup-form">
+            <select name="question-choice">
+                <option value="">Enter my own question</option>
+                ${options}
+            </select>
+            <textarea name="question" rows="3" placeholder="Type the question..."></textarea>
+            <div class="practice-setup-limits">
+                <label>Word limit <input type="number" name="word-limit" min="1" value="${DEFAULT_PRACTICE.wordLimit}" required></label>
+                <label>Marks <input type="number" name="marks" min="1" value="${DEFAULT_PRACTICE.marks}" required></label>
+                <label>Minutes <input type="number" name="minutes" min="1" value="${DEFAULT_PRACTICE.minutes}" required></label>
+            </div>
+            <p class="settings-error"></p>
+            <button type="submit" class="btn-secondary">Start writing</button>
+        </form>
+    `;
+}
+
+/**
+ * Starts a timed attempt from the setup form.
+ * @param {HTMLFormElement} form - The setup form.
+ */
+function startPracticeAttempt(form) {
+    const question = (form.elements['question-choice'].value || form.elements.question.value).trim();
+    const wordLimit = Math.floor(Number(form.elements['word-limit'].value));
+    const marks = Number(form.elements.marks.value);
+    const minutes = Number(form.elements.minutes.value);
+
+    const errorElement = form.querySelector('.settings-error');
+    if (!question || !(wordLimit > 0) || !(marks > 0) || !(minutes > 0)) {
+        errorElement.textContent = 'Choose or type a question, and give a word limit, marks and minutes above zero.';
+        return;
+    }
+
+    const startedAt = Date.now();
+    practiceAttempt = {
+        question,
+        wordLimit,
+        marks,
+        durationMs: minutes * 60 * 1000,
+        startedAt,
+        deadline: startedAt + minutes * 60 * 1000,
+        answer: ''
+    };
+
+    document.getElementById('practice-body').innerHTML = `
+        <p class="practice-question">${escapeHtml(question)}</p>
+        <p class="practice-meta">${wordLimit} words · ${marks} marks</p>
+        <div class="practice-status">
+            <span id="practice-timer" class="practice-timer"></span>
+            <span id="practice-word-count" class="practice-word-count"></span>
+        </div>
+        <textarea id="practice-editor" class="practice-editor" rows="14" placeholder="Write your answer..."></textarea>
+        <div class="score-entry-actions">
+            <button type="button" id="btn-finish-attempt" class="btn-secondary">Finish and evaluate</button>
+            <button type="button" id="btn-discard-attempt" class="btn-secondary">Discard</button>
+        </div>
+    `;
+    document.getElementById('practice-editor').focus();
+    updatePracticeWordCount();
+
+    // Same one-second tick as the header clock
+    if (practiceInterval) {
+        clearInterval(practiceInterval);
+    }
+    updatePracticeTimer();
+    practiceInterval = setInterval(updatePracticeTimer, 1000);
+}
+
+/**
+ * Runs every second while writing, and ends the attempt when time is up.
+ */
+function updatePracticeTimer() {
+    const timerElement = document.getElementById('practice-timer');
+    if (!practiceAttempt || practiceAttempt.finishedAt || !timerElement) {
+        clearInterval(practiceInterval);
+        practiceInterval = null;
+        return;
+    }
+
+    const diff = practiceAttempt.deadline - Date.now();
+    if (diff <= 0) {
+        finishPracticeAttempt();
+        return;
+    }
+
+    timerElement.textContent = `${formatDuration(diff)} left`;
+    timerElement.classList.toggle('practice-timer--low', diff <= 60 * 1000);
+}
+
+/**
+ * Counts the words in a piece of text.
+ * @param {string} text
+ * @returns {number}
+ */
+function countWords(text) {
+    return text.trim().split(/\s+/).filter(Boolean).length;
+}
+
+/**
+ * Refreshes the live word count under the editor.
+ */
+function updatePracticeWordCount() {
+    const countElement = document.getElementById('practice-word-count');
+    if (!countElement) return;
+
+    const words = countWords(practiceAttempt.answer);
+    countElement.textContent = `${words}/${practiceAttempt.wordLimit} words`;
+    countElement.classList.toggle('practice-word-count--over', words > practiceAttempt.wordLimit);
+}
+
+/**
+ * Stops the timer and shows the rubric for self-scoring.
+ */
+function finishPracticeAttempt() {
+    clearInterval(practiceInterval);
+    practiceInterval = null;
+
+    const attempt = practiceAttempt;
+    attempt.finishedAt = Math.min(Date.now(), attempt.deadline);
+    attempt.wordCount = countWords(attempt.answer);
+
+    const rubricRows = ANSWER_RUBRIC.map(criterion => `
+        <tr>
+            <td>${escapeHtml(criterion.label)}</td>
+            <td><input type="number" class="rubric-score" name="${criterion.key}" min="0" max="${criterion.max}" step="0.5" value="0"> / ${criterion.max}</td>
+        </tr>
+    `).join('');
+
+    document.getElementById('practice-body').innerHTML = `
+        <p class="practice-question">${escapeHtml(attempt.question)}</p>
+        <p class="practice-meta">
+            ${attempt.wordCount}/${attempt.wordLimit} words · written in ${formatDuration(attempt.finishedAt - attempt.startedAt)}
+            ${attempt.finishedAt === attempt.deadline ? ' · time ran out' : ''}
+        </p>
+        <div class="practice-answer">${escapeHtml(attempt.answer) || '<em>No answer written.</em>'}</div>
+        <form id="practice-review-form">
+            <table class="settings-table">
+                <thead><tr><th>Rubric</th><th>Score</th></tr></thead>
+                <tbody>${rubricRows}</tbody>
+            </table>
+            <textarea name="review-notes" rows="2" placeholder="What to improve next time..."></textarea>
+            <p id="rubric-total" class="practice-meta"></p>
+            <div class="score-entry-actions">
+                <button type="submit" class="btn-secondary">Save attempt</button>
+                <button type="button" id="btn-discard-attempt" class="btn-secondary">Discard</button>
+            </div>
+            <p class="settings-error"></p>
+        </form>
+    `;
+    updateRubricTotal();
+}
+
+/**
+ * Scales rubric scores (out of 10) to the question's marks.
+ * @param {object} rubricScores - Points per rubric key.
+ * @param {number} marks - The question's marks.
+ * @returns {number} - The score, to one decimal place.
+ */
+function calculateAnswerScore(rubricScores, marks) {
+    const rubricMax = ANSWER_RUBRIC.reduce((sum, criterion) => sum + criterion.max, 0);
+    const points = ANSWER_RUBRIC.reduce((sum, criterion) => {
+        return sum + Math.min(Math.max(Number(rubricScores[criterion.key]) || 0, 0), criterion.max);
+    }, 0);
+    return Math.round((points / rubricMax) * marks * 10) / 10;
+}
+
+/**
+ * Reads the rubric inputs of the review form.
+ * @param {HTMLFormElement} form - The review form.
+ * @returns {object} - Points per rubric key.
+ */
+function readRubricScores(form) {
+    return Object.fromEntries(ANSWER_RUBRIC.map(criterion => [criterion.key, Number(form.elements[criterion.key].value) || 0]));
+}
+
+/**
+ * Shows the running total while the rubric is filled in.
+ */
+function updateRubricTotal() {
+    const form = document.getElementById('practice-review-form');
+    const score = calculateAnswerScore(readRubricScores(form), practiceAttempt.marks);
+    document.getElementById('rubric-total').textContent = `Score: ${score}/${practiceAttempt.marks}`;
+}
+
+/**
+ * Saves the finished attempt with its rubric scores.
+ * @param {HTMLFormElement} form - The review form.
+ * @throws If the attempt couldn't be stored; the attempt is then kept open.
+ */
+async function saveAnswerAttempt(form) {
+    const rubricScores = readRubricScores(form);
+    const { question, wordLimit, marks, startedAt, finishedAt, answer, wordCount } = practiceAttempt;
+    const attempt = {
+        attemptId: createId(),
+        question,
+        wordLimit,
+        marks,
+        answer,
+        wordCount,
+        startedAt: new Date(startedAt).toISOString(),
+        durationMs: finishedAt - startedAt,
+        rubricScores,
+        score: calculateAnswerScore(rubricScores, marks),
+        notes: form.elements['review-notes'].value.trim()
+    };
+
+    await dbRequest('answerAttempts', 'readwrite', store => store.put(attempt));
+    answerAttempts.push(attempt);
+    practiceAttempt = null;
+}
+
+/**
+ * Removes a saved attempt.
+ * @param {string} attemptId
+ */
+async function deleteAnswerAttempt(attemptId) {
+    try {
+        await dbRequest('answerAttempts', 'readwrite', store => store.delete(attemptId));
+    } catch (error) {
+        console.error('Error deleting answer attempt:', error);
+    }
+    answerAttempts = answerAttempts.filter(attempt => attempt.attemptId !== attemptId);
+}
+
+/**
+ * Lists saved attempts, newest first, with their scores.
+ */
+function renderAnswerAttempts() {
+    const container = document.getElementById('practice-attempts');
+    if (!container) return;
+
+    if (answerAttempts.length === 0) {
+        container.innerHTML = '<p class="settings-help">Saved attempts will appear here.</p>';
+        return;
+    }
+
+    const rows = [...answerAttempts]
+        .sort((a, b) => b.startedAt.localeCompare(a.startedAt))
+        .map(attempt => `
+            <tr>
+                <td>${new Date(attempt.startedAt).toLocaleDateString('en-GB', { day: 'numeric', month: 'short' })}</td>
+                <td>${escapeHtml(attempt.question)}</td>
+                <td>${attempt.wordCount}/${attempt.wordLimit}</td>
+                <td>${formatDuration(attempt.durationMs)}</td>
+                <td>${attempt.score}/${attempt.marks}</td>
+                <td><button class="btn-delete-attempt btn-delete-exam" data-id="${attempt.attemptId}" title="Delete attempt">&times;</button></td>
+            </tr>
+        `).join('');
+
+    const totalScore = answerAttempts.reduce((sum, attempt) => sum + attempt.score, 0);
+    const totalMarks = answerAttempts.reduce((sum, attempt) => sum + attempt.marks, 0);
+
+    container.innerHTML = `
+        <h3 class="settings-title">Saved Attempts</h3>
+        <p class="settings-help">${answerAttempts.length} attempt${answerAttempts.length === 1 ? '' : 's'}, averaging ${(totalScore / totalMarks * 100).toFixed(1)}% of marks.</p>
+        <table class="settings-table">
+            <thead><tr><th>Date</th><th>Question</th><th>Words</th><th>Time</th><th>Score</th><th></th></tr></thead>
+            <tbody>${rows}</tbody>
+        </table>
+        <button id="btn-export-attempts" class="btn-secondary">Export as markdown</button>
+    `;
+}
+
+/**
+ * Builds a markdown document of every saved attempt, oldest first.
+ * @param {object[]} attempts
+ * @returns {string}
+ */
+function buildAttemptsMarkdown(attempts) {
+    const sections = [...attempts]
+        .sort((a, b) => a.startedAt.localeCompare(b.startedAt))
+        .map(attempt => {
+            const rubricLines = ANSWER_RUBRIC
+                .map(criterion => `- ${criterion.label}: ${attempt.rubricScores[criterion.key] ?? 0}/${criterion.max}`)
+                .join('\n');
+            return [
+                `## ${attempt.question}`,
+                `*${new Date(attempt.startedAt).toLocaleString('en-GB')} · ${attempt.wordCount}/${attempt.wordLimit} words · ${formatDuration(attempt.durationMs)} · Score ${attempt.score}/${attempt.marks}*`,
+                attempt.answer || '_No answer written._',
+                `### Self-evaluation\n\n${rubricLines}`,
+                attempt.notes ? `**Notes:** ${attempt.notes}` : ''
+            ].filter(Boolean).join('\n\n');
+        });
+
+    return `# Answer Writing Attempts\n\n${sections.join('\n\n---\n\n')}\n`;
+}
+
+
+// --- Revision booklet: a range of editorials compiled for printing or as one markdown file ---
+
+/**
+ * Downloads and parses the editorials for a booklet, a few at a time, keeping them in date order.
+ * @param {Array} editorials - The editorials to include.
+ * @param {string} collection - The notes collection they belong to.
+ * @param {function(number, number)} [onProgress] - Called with (done, total) as downloads finish.
+ * @returns {Promise<{entries: Array<{editorial: object, data: object, content: string}>, failedCount: number}>}
+ */
+async function loadBookletEntries(editorials, collection, onProgress = () => {}) {
+    const chronological = [...editorials].sort((a, b) => new Date(a.date) - new Date(b.date));
+    const results = await mapWithConcurrency(chronological, DOWNLOAD_WORKERS, async editorial => {
+        try {
+            const { data, content } = matter(await fetchEditorialMarkdown(editorial.id, collection));
+            return { editorial, data, content };
+        } catch (error) {
+            console.error(`Error downloading editorial ${editorial.id} for the booklet:`, error);
+            return null;
+        }
+    }, onProgress);
+    const entries = results.filter(Boolean);
+    return { entries, failedCount: chronological.length - entries.length };
+}
+
+/**
+ * Builds the printable booklet: a cover page, a table of contents, then each editorial on
+ * its own page under a header with its date, subject, source and tags.
+ * @param {{title: string, subtitle: string, entries: Array}} booklet - The compiled booklet.
+ * @returns {HTMLElement}
+ */
+function buildBookletElement({ title, subtitle, entries }) {
+    const formatDate = date => new Date(date).toLocaleDateString('en-GB', { day: 'numeric', month: 'long', year: 'numeric' });
+    const readCount = entries.filter(({ editorial }) => editorial.is_read).length;
+
+    const booklet = document.createElement('div');
+    booklet.className = 'booklet';
+    booklet.innerHTML = `
+        <section class="booklet-cover">
+            <p class="booklet-kicker">Revision Booklet</p>
+            <h1>${escapeHtml(title)}</h1>
+            <p class="booklet-subtitle">${escapeHtml(subtitle)}</p>
+            <p class="booklet-counts">${entries.length} editorial${entries.length === 1 ? '' : 's'} · ${readCount} read · ${entries.length - readCount} unread</p>
+            <p class="booklet-compiled">Compiled ${formatDate(new Date())}</p>
+        </section>
+        <nav class="booklet-toc">
+            <h2>Contents</h2>
+            <ol>
+                ${entries.map(({ editorial, data }, index) => `
+                    <li>
+                        <a href="#booklet-entry-${index + 1}">${escapeHtml(data.title || formatEditorialTitle(editorial))}</a>
+                        <span class="booklet-toc-meta">${[formatDate(editorial.date), data.subject].filter(Boolean).map(escapeHtml).join(' · ')}</span>
+                    </li>
+                `).join('')}
+            </ol>
+        </nav>
+    `;
+
+    entries.forEach(({ editorial, data, content }, index) => {
+        const number = index + 1;
+        const article = document.createElement('article');
+        article.className = 'booklet-entry';
+        article.id = `booklet-entry-${number}`;
+        article.innerHTML = `
+            <header class="booklet-entry-header">
+                <p class="booklet-entry-number">${number} · ${formatDate(editorial.date)} · ${editorial.is_read ? 'Read' : 'Unread'}</p>
+                <h2>${escapeHtml(data.title || formatEditorialTitle(editorial))}</h2>
+                <div class="modal-meta">${buildNoteMetaHtml(data)}</div>
+            </header>
+            <div class="modal-body"></div>
+        `;
+
+        // Every entry renders its own heading and footnote ids, so keep them apart
+        const { body } = renderMarkdown(content);
+        body.querySelectorAll('[id]').forEach(element => element.id = `booklet-${number}-${element.id}`);
+        body.querySelectorAll('a[href^="#"]').forEach(link => {
+            link.setAttribute('href', `#booklet-${number}-${link.getAttribute('href').slice(1)}`);
+        });
+        article.querySelector('.modal-body').appendChild(body);
+        booklet.appendChild(article);
+    });
+
+    return booklet;
+}
+
+/**
+ * Builds the booklet as a single markdown file, with a contents list and each editorial's
+ * metadata above its body.
+ * @param {{title: string, subtitle: string, entries: Array}} booklet - The compiled booklet.
+ * @returns {string}
+ */
+function buildBookletMarkdown({ title, subtitle, entries }) {
+    const formatDate = date => new Date(date).toLocaleDateString('en-GB', { day: 'numeric', month: 'long', year: 'numeric' });
+    const titleOf = ({ editorial, data }) => data.title || formatEditorialTitle(editorial);
+
+    const contents = entries.map((entry, index) => `${index + 1}. ${titleOf(entry)} (${formatDate(entry.editorial.date)})`);
+    const sections = entries.map((entry, index) => {
+        const { editorial, data, content } = entry;
+        const tags = parseNoteTags(data.tags).map(tag => `\`#${tag}\``).join(' ');
+        const meta = [formatDate(editorial.date), data.subject, data.source, tags].filter(Boolean).join(' · ');
+        return `## ${index + 1}. ${titleOf(entry)}\n\n*${meta}*\n\n${content.trim()}`;
+    });
+
+    return `# Revision Booklet: ${title}\n\n*${subtitle} · compiled ${formatDate(new Date())}*\n\n## Contents\n\n${contents.join('\n')}\n\n---\n\n${sections.join('\n\n---\n\n')}\n`;
+}
+
+/**
+ * Opens the browser print dialog with only the booklet on the page, from which it can also be
+ * saved as a PDF. The booklet is removed again once printing is done.
+ * @param {HTMLElement} booklet - From buildBookletElement.
+ */
+function printBooklet(booklet) {
+    const container = document.getElementById('booklet-print');
+    if (!container) return;
+
+    container.replaceChildren(booklet);
+    document.body.classList.add('printing-booklet');
+    window.addEventListener('afterprint', () => {
+        document.body.classList.remove('printing-booklet');
+        container.innerHTML = '';
+    }, { once: true });
+    window.print();
+}
+
+
+// --- Revision: SM-2 spaced repetition for editorials that have been read ---
+
+// How each rating maps onto SM-2's 0-5 recall quality
+const REVISION_RATINGS = {
+    remembered: { label: 'Remembered', quality: 5 },
+    fuzzy: { label: 'Fuzzy', quality: 3 },
+    forgot: { label: 'Forgot', quality: 1 }
+};
+const DEFAULT_EASE_FACTOR = 2.5;
+const MIN_EASE_FACTOR = 1.3;
+
+/**
+ * Reads the revision schedule from IndexedDB.
+ * @returns {Promise<object[]>} - One entry per scheduled editorial.
+ */
+async function loadRevisions() {
+    try {
+        return await dbRequest('revisions', 'readonly', store => store.getAll());
+    } catch (error) {
+        console.error('Error loading the revision schedule:', error);
+        return [];
+    }
+}
+
+/**
+ * Adds newly read editorials to the schedule, due the next day, and drops ones marked unread.
+ * Editorials already scheduled keep their progress.
+ * @param {string[]} athenaIds - The editorials whose status changed.
+ * @param {boolean} isRead - The new status.
+ */
+async function updateRevisionSchedule(athenaIds, isRead) {
+    try {
+        const scheduled = new Set((await loadRevisions()).map(revision => revision.athenaId));
+        const tomorrow = new Date();
+        tomorrow.setDate(tomorrow.getDate() + 1);
+
+        await Promise.all(athenaIds.map(athenaId => {
+            if (!isRead) return dbRequest('revisions', 'readwrite', store => store.delete(athenaId));
+            if (scheduled.has(athenaId)) return null;
+            return dbRequest('revisions', 'readwrite', store => store.put(createRevision(athenaId, formatDateKey(tomorrow))));
+        }));
+        document.dispatchEvent(new CustomEvent('revisionchange'));
+    } catch (error) {
+        console.error('Error updating the revision schedule:', error);
+    }
+}
+
+/**
+ * Schedules editorials that were read before they could be scheduled (or before the
+ * schedule existed), so the whole reading history comes up for revision. Each is due the
+ * day after it was last marked read, or after its own date if the read isn't recorded.
+ * @param {Array} editorials - The editorials list; unread and already scheduled ones are skipped.
+ */
+async function seedRevisionSchedule(editorials) {
+    try {
+        const scheduled = new Set((await loadRevisions()).map(revision => revision.athenaId));
+        const unscheduled = editorials.filter(e => e.is_read && !scheduled.has(e.athena_id));
+        if (unscheduled.length === 0) return;
+
+        // The latest time each editorial was marked read, from the read history
+        const readAt = new Map();
+        const history = await dbRequest('readHistory', 'readonly', store => store.getAll()).catch(() => []);
+        history.filter(entry => entry.isRead).forEach(entry => readAt.set(entry.athenaId, entry.at));
+
+        await Promise.all(unscheduled.map(editorial => {
+            const dueDate = new Date(readAt.get(editorial.athena_id) || editorial.date);
+            dueDate.setDate(dueDate.getDate() + 1);
+            return dbRequest('revisions', 'readwrite', store => store.put(createRevision(editorial.athena_id, formatDateKey(dueDate))));
+        }));
+        document.dispatchEvent(new CustomEvent('revisionchange'));
+    } catch (error) {
+        console.error('Error seeding the revision schedule:', error);
+    }
+}
+
+/**
+ * Creates the schedule entry for an editorial that hasn't been revised yet.
+ * @param {string} athenaId - The editorial's athena id.
+ * @param {string} dueDate - When its first review is due, as YYYY-MM-DD.
+ * @returns {object}
+ */
+function createRevision(athenaId, dueDate) {
+    return { athenaId, repetitions: 0, easeFactor: DEFAULT_EASE_FACTOR, intervalDays: 0, dueDate, history: [] };
+}
+
+/**
+ * Works out the next review with the SM-2 algorithm: a failed recall starts the
+ * intervals again, a successful one stretches them by the ease factor, and the
+ * ease factor itself drifts with how hard each recall was.
+ * @param {object} revision - The editorial's current schedule.
+ * @param {string} rating - A key of REVISION_RATINGS.
+ * @param {Date} [now=new Date()]
+ * @returns {object} - The updated schedule.
+ */
+function scheduleNextRevision(revision, rating, now = new Date()) {
+    const { quality } = REVISION_RATINGS[rating];
+    let { repetitions, intervalDays } = revision;
+
+    if (quality < 3) {
+        repetitions = 0;
+        intervalDays = 1;
+    } else {
+        repetitions++;
+        if (repetitions === 1) intervalDays = 1;
+        else if (repetitions === 2) intervalDays = 6;
+        else intervalDays = Math.round(intervalDays * revision.easeFactor);
+    }
+
+    const easeFactor = Math.max(MIN_EASE_FACTOR, revision.easeFactor + (0.1 - (5 - quality) * (0.08 + (5 - quality) * 0.02)));
+    const dueDate = new Date(now);
+    dueDate.setDate(dueDate.getDate() + intervalDays);
+
+    return {
+        ...revision,
+        repetitions,
+        intervalDays,
+        easeFactor: Math.round(easeFactor * 100) / 100,
+        dueDate: formatDateKey(dueDate),
+        history: [...revision.history, { rating, at: now.toISOString() }]
+    };
+}
+
+/**
+ * Records a rating for a scheduled editorial and saves its next review date.
+ * @param {string} athenaId
+ * @param {string} rating - A key of REVISION_RATINGS.
+ * @returns {Promise<object|null>} - The updated schedule, or null if it couldn't be saved.
+ */
+async function rateRevision(athenaId, rating) {
+    try {
+        const revision = await dbRequest('revisions', 'readonly', store => store.get(athenaId));
+        if (!revision) return null;
+        const next = scheduleNextRevision(revision, rating);
+        await dbRequest('revisions', 'readwrite', store => store.put(next));
+        document.dispatchEvent(new CustomEvent('revisionchange'));
+        return next;
+    } catch (error) {
+        console.error('Error saving the revision rating:', error);
+        return null;
+    }
+}
+
+/**
+ * Picks the scheduled editorials that are due today or overdue, most overdue first.
+ * @param {object[]} revisions - The schedule.
+ * @param {Array} editorials - The editorials list, to resolve titles and dates.
+ * @param {Date} [now=new Date()]
+ * @returns {Array<{editorial: object, revision: object}>}
+ */
+function getDueRevisions(revisions, editorials, now = new Date()) {
+    const todayKey = formatDateKey(now);
+    const editorialsByAthenaId = new Map(editorials.map(e => [e.athena_id, e]));
+    return revisions
+        .filter(revision => revision.dueDate <= todayKey && editorialsByAthenaId.has(revision.athenaId))
+        .sort((a, b) => a.dueDate.localeCompare(b.dueDate))
+        .map(revision => ({ editorial: editorialsByAthenaId.get(revision.athenaId), revision }));
+}
+
+/**
+ * Downloads the revision schedule as CSV.
+ * @param {object[]} revisions - The schedule.
+ * @param {Array} editorials - The editorials list, to resolve titles.
+ */
+function exportRevisionSchedule(revisions, editorials) {
+    const editorialsByAthenaId = new Map(editorials.map(e => [e.athena_id, e]));
+    const rows = [...revisions]
+        .sort((a, b) => a.dueDate.localeCompare(b.dueDate))
+        .map(revision => {
+            const editorial = editorialsByAthenaId.get(revision.athenaId);
+            const lastReview = revision.history[revision.history.length - 1];
+            return [
+                editorial ? formatEditorialTitle(editorial) : '',
+                editorial ? formatDateKey(new Date(editorial.date)) : '',
+                revision.dueDate,
+                revision.intervalDays,
+                revision.repetitions,
+                revision.easeFactor,
+                lastReview ? lastReview.rating : '',
+                lastReview ? formatDateKey(new Date(lastReview.at)) : '',
+                revision.athenaId
+            ];
+        });
+    const header = ['title', 'editorial_date', 'due_date', 'interval_days', 'repetitions', 'ease_factor', 'last_rating', 'last_reviewed', 'athena_id'];
+    downloadFile('revision-schedule.csv', toCsv([header, ...rows]), 'text/csv');
+}
+
+/**
+ * Lists the editorials due for revision, with an export button for the whole schedule.
+ * @param {HTMLElement} container - Where to render.
+ * @param {Array} editorials - The editorials list.
+ * @param {boolean} [canOpen=false] - True on the explorer page, where items open in the modal.
+ * @returns {Promise<number>} - How many are due.
+ */
+async function renderRevisionQueue(container, editorials, canOpen = false) {
+    const revisions = await loadRevisions();
+    const due = getDueRevisions(revisions, editorials);
+    const todayKey = formatDateKey(new Date());
+
+    const items = due.map(({ editorial, revision }) => `
+        <li class="planner-item">
+            <span class="planner-item-title">${escapeHtml(formatEditorialTitle(editorial))}</span>
+            ${revision.dueDate < todayKey ? '<span class="planner-badge">Overdue</span>' : ''}
+            <span class="planner-item-date">${revision.repetitions === 0 ? 'First review' : `Review ${revision.repetitions + 1}`}</span>
+            ${canOpen
+                ? `<button class="btn-view" data-doc-id="${editorial.id}">Revise</button>`
+                : `<a class="btn-secondary" href="editorials.html${buildExplorerRoute(getExplorerDateParts(editorial), editorial.id)}">Revise</a>`}
+        </li>
+    `).join('');
+
+    container.innerHTML = `
+        ${items
+            ? `<ul class="planner-list">${items}</ul>`
+            : `<p class="planner-empty">${revisions.length > 0 ? 'Nothing due today.' : 'Editorials you mark as read are scheduled here for revision.'}</p>`}
+        ${revisions.length > 0 ? `<button class="btn-secondary btn-export-revisions">Export schedule (${revisions.length})</button>` : ''}
+    `;
+    container.querySelector('.btn-export-revisions')?.addEventListener('click', () => exportRevisionSchedule(revisions, editorials));
+    return due.length;
+}
+
+/**
+ * Shows the revision queue card on the dashboard.
+ */
+async function displayRevisionQueue() {
+    const revisionContainer = document.getElementById('revision-container');
+    if (!revisionContainer) return;
+
+    let editorials;
+    try {
+        editorials = await dataSource.getNotes('editorials');
+    } catch (error) {
+        revisionContainer.innerHTML = '<p style="color: red;">Could not load the revision queue.</p>';
+        console.error('Error fetching editorials for revision:', error);
+        return;
+    }
+
+    renderRevisionQueue(revisionContainer, editorials);
+    document.addEventListener('revisionchange', () => renderRevisionQueue(revisionContainer, editorials));
+    seedRevisionSchedule(editorials);
+}
+
+
+// --- Keyboard shortcuts and the Ctrl+K command palette ---
+
+// Functions that list palette commands; each part of the page registers the ones it can act on
+const commandSources = [];
+let paletteCommands = [];
+let paletteMatches = [];
+let paletteIndex = 0;
+
+// Editorials (by athena id) the dashboard palette couldn't save a read status for
+const paletteToggleErrors = new Set();
+
+// How many matches the palette lists, and the order types are listed in when scores tie
+const PALETTE_LIMIT = 30;
+const PALETTE_TYPE_ORDER = ['Section', 'Exam', 'Date', 'Editorial'];
+
+/**
+ * Adds a source of palette commands.
+ * A command is { type, label, detail, run(), toggle?(), toggleLabel?, error? }.
+ * @param {function(): (object[]|Promise<object[]>)} source
+ */
+function registerCommandSource(source) {
+    commandSources.push(source);
+}
+
+/**
+ * Checks whether a key press is going into a form field, where shortcuts shouldn't fire.
+ * @param {EventTarget} target - The keydown event's target.
+ * @returns {boolean}
+ */
+function isTypingTarget(target) {
+    return target instanceof HTMLElement && (target.isContentEditable || ['INPUT', 'TEXTAREA', 'SELECT'].includes(target.tagName));
+}
+
+/**
+ * Sets up the page-wide shortcuts (Ctrl+K for the palette, Escape to close modals)
+ * and registers the section commands.
+ */
+function setupCommandPalette() {
+    const palette = document.getElementById('command-palette');
+    if (!palette) return;
+
+    const paletteInput = document.getElementById('palette-input');
+    const paletteResults = document.getElementById('palette-results');
+
+    registerCommandSource(() => SECTIONS.map(section => ({
+        type: 'Section',
+        label: section.title,
+        detail: 'Open section',
+        run: () => { window.location.href = getSectionUrl(section); }
+    })));
+
+    // Pages without the explorer can still jump to editorials, on the editorials page
+    if (!document.getElementById('file-explorer')) {
+        registerCommandSource(getLinkedEditorialCommands);
+    }
+
+    document.addEventListener('keydown', (event) => {
+        if ((event.ctrlKey || event.metaKey) && event.key.toLowerCase() === 'k') {
+            event.preventDefault();
+            openCommandPalette();
+        } else if (event.key === 'Escape') {
+            // Close the top-most modal through its close button, so its own close logic runs
+            const topModal = [...document.querySelectorAll('.modal-backdrop.visible')].pop();
+            if (!topModal) return;
+            event.preventDefault();
+            if (topModal === palette) closeCommandPalette();
+            else topModal.querySelector('.modal-close-btn')?.click();
+        }
+    });
+
+    palette.addEventListener('click', (event) => {
+        if (event.target === palette) {
+            closeCommandPalette();
+            return;
+        }
+        const item = event.target.closest('.palette-item');
+        if (!item) return;
+        paletteIndex = Number(item.dataset.index);
+        runPaletteCommand(event.target.classList.contains('palette-toggle'));
+    });
+
+    paletteInput.addEventListener('input', () => {
+        paletteIndex = 0;
+        renderPaletteResults();
+    });
+
+    paletteInput.addEventListener('keydown', (event) => {
+        if (event.key === 'ArrowDown' || event.key === 'ArrowUp') {
+            event.preventDefault();
+            const step = event.key === 'ArrowDown' ? 1 : -1;
+            paletteIndex = (paletteIndex + step + paletteMatches.length) % Math.max(paletteMatches.length, 1);
+            renderPaletteResults(false);
+            paletteResults.querySelector('.palette-item--active')?.scrollIntoView({ block: 'nearest' });
+        } else if (event.key === 'Enter') {
+            event.preventDefault();
+            runPaletteCommand(event.shiftKey);
+        }
+    });
+}
+
+/**
+ * Registers the exam commands once the exams have loaded, and keeps them up to date.
+ * @param {Array} futureExams - The processed exams.
+ */
+function addExamCommands(futureExams) {
+    const palette = document.getElementById('command-palette');
+    if (!palette) return;
+
+    registerCommandSource(() => futureExams.map(exam => ({
+        type: 'Exam',
+        label: exam.name,
+        detail: `${exam.daysRemaining} days · ${new Date(exam.date).toLocaleDateString('en-GB', { day: 'numeric', month: 'short', year: 'numeric' })}`,
+        run: () => showExam(exam)
+    })));
+    document.addEventListener('examschange', (event) => {
+        futureExams = event.detail;
+    });
+
+    // Someone quick enough to open the palette first sees the exams appear
+    if (palette.classList.contains('visible')) refreshPaletteCommands();
+}
+
+/**
+ * Shows an exam: its block on the dashboard, and its countdown in the header clock if it's pinned.
+ * @param {object} exam - The exam object.
+ */
+function showExam(exam) {
+    const countdownIndex = countdownExams.indexOf(exam);
+    if (countdownIndex !== -1) {
+        timeDisplayMode = 'countdown';
+        countdownExamIndex = countdownIndex;
+        updateTimeDisplay();
+    }
+
+    const examBlock = document.querySelector(`.exam-block[data-exam-id="${exam.id}"]`);
+    if (examBlock) {
+        examBlock.scrollIntoView({ behavior: 'smooth', block: 'center' });
+        examBlock.classList.remove('exam-block--flash');
+        void examBlock.offsetWidth; // Restart the animation
+        examBlock.classList.add('exam-block--flash');
+    } else if (countdownIndex === -1) {
+        window.location.href = 'index.html';
+    }
+}
+
+/**
+ * Lists editorials and their dates as commands that link to the editorials page.
+ * Editorials can also be marked read or unread from here; a saved change is announced
+ * with a readstatuschange event so the dashboard cards can catch up.
+ * @returns {Promise<object[]>}
+ */
+async function getLinkedEditorialCommands() {
+    if (!dataSource) return []; // Still loading
+    let editorials;
+    try {
+        editorials = await dataSource.getNotes('editorials');
+    } catch (error) {
+        console.error('Error fetching editorials for the command palette:', error);
+        return [];
+    }
+
+    const dateCommands = new Map();
+    const editorialCommands = editorials.map(editorial => {
+        const parts = getExplorerDateParts(editorial);
+        const dateLabel = `${parts.day} ${parts.month} ${parts.year}`;
+        if (!dateCommands.has(dateLabel)) {
+            dateCommands.set(dateLabel, {
+                type: 'Date',
+                label: dateLabel,
+                detail: 'Editorials',
+                run: () => { window.location.href = `editorials.html${buildExplorerRoute(parts)}`; }
+            });
+        }
+        return {
+            type: 'Editorial',
+            label: formatEditorialTitle(editorial),
+            detail: `${dateLabel} · ${editorial.is_read ? 'Read' : 'Unread'}`,
+            run: () => { window.location.href = `editorials.html${buildExplorerRoute(parts, editorial.id)}`; },
+            toggle: async () => {
+                const newStatus = !editorial.is_read;
+                try {
+                    await dataSource.updateReadStatus(editorial.athena_id, newStatus);
+                    paletteToggleErrors.delete(editorial.athena_id);
+                    updateRevisionSchedule([editorial.athena_id], newStatus);
+                    document.dispatchEvent(new CustomEvent('readstatuschange', { detail: { athenaId: editorial.athena_id, isRead: newStatus } }));
+                } catch (error) {
+                    paletteToggleErrors.add(editorial.athena_id);
+                    console.error('Error updating read status:', error);
+                }
+            },
+            toggleLabel: editorial.is_read ? 'Mark as Unread' : 'Mark as Read',
+            error: paletteToggleErrors.has(editorial.athena_id) ? "Couldn't save. Try again." : ''
+        };
+    });
+    return [...dateCommands.values(), ...editorialCommands];
+}
+
+/**
+ * Opens the palette and gathers the current commands from every source.
+ */
+async function openCommandPalette() {
+    const palette = document.getElementById('command-palette');
+    const paletteInput = document.getElementById('palette-input');
+
+    palette.classList.add('visible');
+    paletteInput.value = '';
+    paletteInput.focus();
+    await refreshPaletteCommands();
+}
+
+/**
+ * Re-reads every command source, so labels like read status stay current.
+ */
+async function refreshPaletteCommands() {
+    const lists = await Promise.all(commandSources.map(source => source()));
+    paletteCommands = lists.flat();
+    renderPaletteResults();
+}
+
+/**
+ * Closes the palette.
+ */
+function closeCommandPalette() {
+    document.getElementById('command-palette').classList.remove('visible');
+}
+
+/**
+ * Ranks commands against the typed query. Every query word has to start a word of the
+ * command; matches in the label count for more than matches in the type or detail.
+ * With no query, sections and exams are listed.
+ * @param {object[]} commands
+ * @param {string} query
+ * @returns {object[]} - The best matches, best first.
+ */
+function matchCommands(commands, query) {
+    const queryTerms = tokenize(query);
+    const typeRank = command => PALETTE_TYPE_ORDER.indexOf(command.type);
+    if (queryTerms.length === 0) {
+        return commands.filter(command => command.type === 'Section' || command.type === 'Exam').slice(0, PALETTE_LIMIT);
+    }
+
+    return commands
+        .map(command => {
+            const labelTerms = tokenize(command.label);
+            const otherTerms = tokenize(`${command.type} ${command.detail}`);
+            let score = 0;
+            for (const term of queryTerms) {
+                if (labelTerms.includes(term)) score += 3;
+                else if (labelTerms.some(labelTerm => labelTerm.startsWith(term))) score += 2;
+                else if (otherTerms.some(otherTerm => otherTerm.startsWith(term))) score += 1;
+                else return null;
+            }
+            return { command, score };
+        })
+        .filter(Boolean)
+        .sort((a, b) => b.score - a.score || typeRank(a.command) - typeRank(b.command))
+        .slice(0, PALETTE_LIMIT)
+        .map(({ command }) => command);
+}
+
+/**
+ * Renders the palette's matches with the keyboard selection highlighted.
+ * @param {boolean} [isRematch=true] - False when only the selection moved.
+ */
+function renderPaletteResults(isRematch = true) {
+    const paletteResults = document.getElementById('palette-results');
+    if (isRematch) paletteMatches = matchCommands(paletteCommands, document.getElementById('palette-input').value);
+
+    if (paletteMatches.length === 0) {
+        paletteResults.innerHTML = '<li class="palette-empty">No matches.</li>';
+        return;
+    }
+
+    paletteResults.innerHTML = paletteMatches.map((command, index) => `
+        <li class="palette-item ${index === paletteIndex ? 'palette-item--active' : ''}" data-index="${index}">
+            <span class="palette-type">${command.type}</span>
+            <span class="palette-label">${escapeHtml(command.label)}</span>
+            <span class="palette-detail">${escapeHtml(command.detail)}</span>
+            ${command.error ? `<span class="inline-error">${escapeHtml(command.error)}</span>` : ''}
+            ${command.toggle ? `<button class="btn-planner-toggle palette-toggle" tabindex="-1">${command.toggleLabel}</button>` : ''}
+        </li>
+    `).join('');
+}
+
+/**
+ * Runs the selected command, or toggles its read status.
+ * @param {boolean} isToggle - True to toggle read status (Shift+Enter or the row's button).
+ */
+async function runPaletteCommand(isToggle) {
+    const command = paletteMatches[paletteIndex];
+    if (!command) return;
+
+    if (isToggle) {
+        if (!command.toggle) return;
+        // Commands that save before changing anything locally are re-read once saved
+        await command.toggle();
+        await refreshPaletteCommands();
+        return;
+    }
+    closeCommandPalette();
+    command.run();
+}
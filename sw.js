@@ -0,0 +1,213 @@
+// Service worker for the dashboard's notifications. Pages post their latest reading numbers and
+// exam dates here, and the checks run in the worker, so reminders still fire while the tab is in
+// the background (and, where periodic background sync is available, while it's closed).
+
+// Where each profile's latest state and the notifications already sent are kept between runs,
+// along with the profile last using the dashboard, whose reminders background sync checks
+const STATE_CACHE = 'athena-notifications';
+const STATE_PREFIX = 'notification-state';
+const SENT_PREFIX = 'notifications-sent';
+const ACTIVE_PROFILE_KEY = 'active-profile.json';
+
+// Days before an exam that get a milestone alert
+const MILESTONE_DAYS = [100, 30, 7, 1];
+
+// Tag for the periodic background sync registered by the pages
+const PERIODIC_SYNC_TAG = 'athena-reminders';
+
+self.addEventListener('install', () => self.skipWaiting());
+self.addEventListener('activate', (event) => event.waitUntil(self.clients.claim()));
+
+self.addEventListener('message', (event) => {
+    const { type, profileKey, state } = event.data || {};
+    if (!profileKey) return;
+    if (type === 'check') {
+        event.waitUntil(Promise.all([saveJson(getProfileKey(STATE_PREFIX, profileKey), state), saveJson(ACTIVE_PROFILE_KEY, profileKey)])
+            .then(() => runChecks(profileKey, state)));
+    } else if (type === 'profile') {
+        event.waitUntil(saveJson(ACTIVE_PROFILE_KEY, profileKey));
+    }
+});
+
+self.addEventListener('periodicsync', (event) => {
+    if (event.tag !== PERIODIC_SYNC_TAG) return;
+    event.waitUntil((async () => {
+        const profileKey = await loadJson(ACTIVE_PROFILE_KEY);
+        const state = profileKey && await loadJson(getProfileKey(STATE_PREFIX, profileKey));
+        if (state) await runChecks(profileKey, state);
+    })());
+});
+
+self.addEventListener('notificationclick', (event) => {
+    event.notification.close();
+    event.waitUntil(openDashboard(event.notification.data?.url || 'index.html'));
+});
+
+/**
+ * Shows a profile's daily reminder and any exam milestones that are due, each at most once.
+ * Nothing is shown during quiet hours; anything due waits until they end.
+ * @param {string} profileKey - The profile the state belongs to (its database name).
+ * @param {object} state - The latest state posted by a page for that profile.
+ */
+async function runChecks(profileKey, state) {
+    const now = new Date();
+    if (!state.enabled || isQuietTime(now, state.quietStart, state.quietEnd)) return;
+
+    const todayKey = formatDateKey(now);
+    const sentKey = getProfileKey(SENT_PREFIX, profileKey);
+    const sent = (await loadJson(sentKey)) || { reminder: null, milestones: [] };
+
+    // 1. The daily reminder, once the reminder time has passed and only if the target isn't met
+    const reminderKey = getDueReminderKey(now, state);
+    if (reminderKey && (!sent.reminder || sent.reminder < reminderKey)) {
+        // A state from an earlier day means nothing has been read since the page was last open
+        const readToday = state.date === todayKey ? state.readToday : 0;
+        if (state.target > 0 && readToday < state.target) {
+            await self.registration.showNotification('Time to read', {
+                body: `${readToday} of today's ${state.target} editorial${state.target === 1 ? '' : 's'} read. ${state.target - readToday} to go.`,
+                tag: `athena-daily-reminder-${profileKey}`,
+                data: { url: 'editorials.html' }
+            });
+        }
+        sent.reminder = reminderKey;
+    }
+
+    // 2. Exam milestones
+    if (state.milestones) {
+        for (const exam of state.exams) {
+            const daysRemaining = getDaysRemaining(exam.date, now);
+            const key = `${exam.id}:${daysRemaining}`;
+            if (!MILESTONE_DAYS.includes(daysRemaining) || sent.milestones.includes(key)) continue;
+            await self.registration.showNotification(`${exam.name}: ${daysRemaining} day${daysRemaining === 1 ? '' : 's'} to go`, {
+                body: daysRemaining === 1 ? 'The exam is tomorrow. Good luck!' : `${daysRemaining} days left until ${exam.name}.`,
+                tag: `athena-milestone-${profileKey}-${key}`,
+                data: { url: 'index.html' }
+            });
+            sent.milestones.push(key);
+        }
+    }
+
+    await saveJson(sentKey, sent);
+}
+
+/**
+ * Builds the cache key for one profile's saved value.
+ * @param {string} prefix - STATE_PREFIX or SENT_PREFIX.
+ * @param {string} profileKey - The profile's database name, e.g. athena or athena:7.
+ * @returns {string}
+ */
+function getProfileKey(prefix, profileKey) {
+    return `${prefix}/${encodeURIComponent(profileKey)}.json`;
+}
+
+/**
+ * Works out which day's reminder is due: today's once its time has passed, or yesterday's if it
+ * fell in quiet hours that ran on past midnight, so it's sent when they end instead of being lost.
+ * @param {Date} now
+ * @param {object} state - The latest state posted by a page.
+ * @returns {string|null} - The reminder's YYYY-MM-DD key, or null if none is due yet.
+ */
+function getDueReminderKey(now, state) {
+    if (!state.reminderTime) return null;
+    const reminderMinutes = parseTime(state.reminderTime);
+    if (toMinutes(now) >= reminderMinutes) return formatDateKey(now);
+
+    // Quiet hours that run past midnight hold back a reminder set after they start
+    const isHeldOvernight = state.quietStart && state.quietEnd
+        && parseTime(state.quietStart) > parseTime(state.quietEnd)
+        && reminderMinutes >= parseTime(state.quietStart);
+    if (!isHeldOvernight) return null;
+    const yesterday = new Date(now);
+    yesterday.setDate(yesterday.getDate() - 1);
+    return formatDateKey(yesterday);
+}
+
+/**
+ * Focuses an open dashboard tab, or opens one.
+ * @param {string} url - The page to show, relative to the worker.
+ */
+async function openDashboard(url) {
+    const target = new URL(url, self.registration.scope).href;
+    const windows = await self.clients.matchAll({ type: 'window', includeUncontrolled: true });
+    const existing = windows.find(client => client.url.split('#')[0] === target);
+    if (existing) return existing.focus();
+    return self.clients.openWindow(target);
+}
+
+/**
+ * Checks whether a time falls in quiet hours, which may run past midnight (e.g. 22:00 to 07:00).
+ * @param {Date} now
+ * @param {string} start - HH:MM, or empty for no quiet hours.
+ * @param {string} end - HH:MM.
+ * @returns {boolean}
+ */
+function isQuietTime(now, start, end) {
+    if (!start || !end || start === end) return false;
+    const minutes = toMinutes(now);
+    const startMinutes = parseTime(start);
+    const endMinutes = parseTime(end);
+    return startMinutes < endMinutes
+        ? minutes >= startMinutes && minutes < endMinutes
+        : minutes >= startMinutes || minutes < endMinutes;
+}
+
+/**
+ * Counts whole days from today to an exam, the same way the dashboard does.
+ * @param {string} date - The exam date.
+ * @param {Date} now
+ * @returns {number}
+ */
+function getDaysRemaining(date, now) {
+    const today = new Date(now);
+    today.setHours(0, 0, 0, 0);
+    return Math.floor((new Date(date).getTime() - today.getTime()) / (1000 * 60 * 60 * 24));
+}
+
+/**
+ * Turns HH:MM into minutes after midnight.
+ * @param {string} time
+ * @returns {number}
+ */
+function parseTime(time) {
+    const [hours, minutes] = time.split(':').map(Number);
+    return hours * 60 + minutes;
+}
+
+/**
+ * Minutes after midnight for a date's local time.
+ * @param {Date} date
+ * @returns {number}
+ */
+function toMinutes(date) {
+    return date.getHours() * 60 + date.getMinutes();
+}
+
+/**
+ * Formats a date as a local YYYY-MM-DD key.
+ * @param {Date} date
+ * @returns {string}
+ */
+function formatDateKey(date) {
+    return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+}
+
+/**
+ * Reads a value saved with saveJson.
+ * @param {string} key
+ * @returns {Promise<*>} - null if nothing is saved.
+ */
+async function loadJson(key) {
+    const cache = await caches.open(STATE_CACHE);
+    const response = await cache.match(key);
+    return response ? response.json() : null;
+}
+
+/**
+ * Saves a JSON value in the worker's cache.
+ * @param {string} key
+ * @param {*} value
+ */
+async function saveJson(key, value) {
+    const cache = await caches.open(STATE_CACHE);
+    await cache.put(key, new Response(JSON.stringify(value), { headers: { 'Content-Type': 'application/json' } }));
+}